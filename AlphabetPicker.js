@@ -1,27 +1,32 @@
 import React, { Component } from 'react';
-import { View, Text, PanResponder } from 'react-native';
+import { View, Text, PanResponder, I18nManager } from 'react-native';
 import PropTypes from 'prop-types';
+import createLocaleIndex from './localeIndex';
+import alphabets from './alphabets';
 
 class LetterPicker extends Component {
 
     render() {
         return (
-            <Text style={{ fontSize: 11, fontWeight: 'bold' }}>
-                {this.props.letter}
+            <Text style={{ fontSize: 11, fontWeight: 'bold', opacity: this.props.disabled ? 0.3 : 1, paddingHorizontal: this.props.horizontal ? 2 : 0 }}>
+                {this.props.glyph || this.props.letter}
             </Text>
         );
     }
 }
 
-let Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split('');
+let Alphabet = alphabets.latin;
 export default class AlphabetPicker extends Component {
     constructor(props, context) {
         super(props, context);
+        let alphabet = Alphabet;
         if(props.alphabet){
-            Alphabet = props.alphabet;
+            Alphabet = alphabet = props.alphabet;
+        } else if (props.locale) {
+            alphabet = createLocaleIndex(props.locale).alphabet;
         }
         this.state = {
-            alphabet: Alphabet,
+            alphabet,
           };
     }
 
@@ -33,12 +38,16 @@ export default class AlphabetPicker extends Component {
                 this.props.onTouchStart && this.props.onTouchStart();
 
                 this.tapTimeout = setTimeout(() => {
-                    this._onTouchLetter(this._findTouchedLetter(gestureState.y0));
+                    this._onTouchLetter(this._findTouchedLetter(
+                        this.props.horizontal ? gestureState.x0 : gestureState.y0
+                    ));
                 }, 100);
             },
             onPanResponderMove: (evt, gestureState) => {
                 clearTimeout(this.tapTimeout);
-                this._onTouchLetter(this._findTouchedLetter(gestureState.moveY));
+                this._onTouchLetter(this._findTouchedLetter(
+                    this.props.horizontal ? gestureState.moveX : gestureState.moveY
+                ));
             },
             onPanResponderTerminate: this._onPanResponderEnd.bind(this),
             onPanResponderRelease: this._onPanResponderEnd.bind(this),
@@ -60,26 +69,48 @@ export default class AlphabetPicker extends Component {
         });
     }
 
-    _findTouchedLetter(y) {
-        let top = y - (this.absContainerTop || 0);
+    // position is a y, or an x when the picker is horizontal
+    _findTouchedLetter(position) {
+        let top = position - (this.absContainerTop || 0);
         const {alphabet} = this.state
 
         if (top >= 1 && top <= this.containerHeight) {
-            return alphabet[Math.round((top / this.containerHeight) * alphabet.length)]
+            let i = Math.round((top / this.containerHeight) * alphabet.length);
+
+            // A right-to-left row starts with the first letter on the right
+            if (this.props.horizontal && this._isRTL()) {
+                i = alphabet.length - 1 - i;
+            }
+
+            return alphabet[i]
         }
     }
 
+    _isRTL() {
+        return this.props.rtl === undefined ? I18nManager.isRTL : this.props.rtl;
+    }
+
     _onLayout(event) {
         this.refs.alphabetContainer.measure((x1, y1, width, height, px, py) => {
-            this.absContainerTop = py;
-            this.containerHeight = height;
+            this.absContainerTop = this.props.horizontal ? px : py;
+            this.containerHeight = this.props.horizontal ? width : height;
         });
     }
 
     render() {
         const {alphabet} = this.state
+        const disabledLetters = this.props.disabledLetters || [];
+        const glyphs = this.props.glyphs || {};
         this._letters = (
-            alphabet.map((letter) => <LetterPicker letter={letter} key={letter} />)
+            alphabet.map((letter) => (
+                <LetterPicker
+                    letter={letter}
+                    glyph={glyphs[letter]}
+                    horizontal={this.props.horizontal}
+                    key={letter}
+                    disabled={disabledLetters.indexOf(letter) !== -1}
+                />
+            ))
         );
 
         return (
@@ -87,12 +118,16 @@ export default class AlphabetPicker extends Component {
                 ref='alphabetContainer'
                 {...this._panResponder.panHandlers}
                 onLayout={this._onLayout.bind(this)}
-                style={{ paddingHorizontal: 5, backgroundColor: '#fff', borderRadius: 1, justifyContent: 'center' }}>
-                <View>
+                style={this.props.horizontal ?
+                    { paddingVertical: 5, backgroundColor: '#fff', borderRadius: 1, alignItems: 'center' } :
+                    { paddingHorizontal: 5, backgroundColor: '#fff', borderRadius: 1, justifyContent: 'center' }}>
+                <View style={this.props.horizontal ? { flexDirection: 'row', direction: this._isRTL() ? 'rtl' : 'ltr' } : null}>
                     {this._letters}
                 </View>
             </View>
         );
     }
 
-}
\ No newline at end of file
+}
+
+AlphabetPicker.Alphabets = alphabets;
@@ -19,22 +19,84 @@ import {
   TouchableWithoutFeedback,
   View,
   Platform,
+  I18nManager,
+  RefreshControl,
 } from 'react-native';
 
 import _ from 'lodash';
 import FixedHeightWindowedListView from './FixedHeightWindowedListView';
 import AlphabetPicker from './AlphabetPicker';
+import groupItems from './groupItems';
+import createLocaleIndex from './localeIndex';
+import { createPinyinIndex, createKanaIndex, createHangulIndex } from './cjkIndex';
+import alphabets from './alphabets';
+import invariant from './invariant';
+import { createFilterIndex, matchers as filterMatchers } from './filterIndex';
+import { isImmutable, getKeys } from './collections';
 
 
 export default class AtoZList extends Component {
   static propTypes = {
-    sectionHeaderHeight: PropTypes.number.isRequired,
-    cellHeight: PropTypes.number.isRequired,
-    data: PropTypes.object.isRequired,
+    sectionHeaderHeight: PropTypes.number,
+    cellHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+    data: PropTypes.object,
+    dataSource: PropTypes.instanceOf(FixedHeightWindowedListView.DataSource),
+    items: PropTypes.array,
+    getSectionKey: PropTypes.func,
+    sortBy: PropTypes.oneOfType([PropTypes.func, PropTypes.string]),
+    locale: PropTypes.string,
+    nonLetterSectionId: PropTypes.string,
+    indexStrategy: PropTypes.shape({
+      alphabet: PropTypes.array.isRequired,
+      getSectionKey: PropTypes.func.isRequired,
+      compare: PropTypes.func.isRequired,
+      compareSectionIds: PropTypes.func.isRequired,
+    }),
     renderCell: PropTypes.func,
     renderSection: PropTypes.func,
+    renderSectionFooter: PropTypes.func,
+    renderParentSection: PropTypes.func,
+    keyExtractor: PropTypes.func,
+    rowHasChanged: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf(['deep'])]),
+    sectionHeaderHasChanged: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf(['deep'])]),
+    extraData: PropTypes.any,
+    renderPlaceholder: PropTypes.func,
+    stickySectionHeadersEnabled: PropTypes.bool,
+    horizontal: PropTypes.bool,
+    onRefresh: PropTypes.func,
+    refreshing: PropTypes.bool,
+    refreshControl: PropTypes.element,
+    onEndReachedThreshold: PropTypes.number,
+    onStartReached: PropTypes.func,
+    onStartReachedThreshold: PropTypes.number,
+    keepVisibleContentPosition: PropTypes.bool,
+    renderFooter: PropTypes.func,
+    footerHeight: PropTypes.number,
+    ListHeaderComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+    listHeaderHeight: PropTypes.number,
+    ListFooterComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+    listFooterHeight: PropTypes.number,
+    ListEmptyComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+    listEmptyHeight: PropTypes.number,
+    parentSectionHeaderHeight: PropTypes.number,
+    sectionFooterHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
     onEndReached: PropTypes.func,
     onScroll: PropTypes.func,
+    rtl: PropTypes.bool,
+    showFullAlphabet: PropTypes.bool,
+    alphabet: PropTypes.array,
+    sectionOrder: PropTypes.oneOfType([PropTypes.array, PropTypes.func]),
+    pinnedSections: PropTypes.arrayOf(PropTypes.shape({
+      sectionId: PropTypes.string.isRequired,
+      glyph: PropTypes.string,
+      items: PropTypes.oneOfType([PropTypes.array, PropTypes.object]),
+    })),
+    filter: PropTypes.string,
+    filterBy: PropTypes.oneOfType([PropTypes.func, PropTypes.string]),
+    filterMatcher: PropTypes.oneOfType([
+      PropTypes.oneOf(['prefix', 'substring', 'words', 'fuzzy']),
+      PropTypes.func,
+    ]),
   };
 
   constructor(props, context) {
@@ -43,49 +105,123 @@ export default class AtoZList extends Component {
     let sectionHeight = props.sectionHeaderHeight || 35;
     let cellHeight = props.cellHeight || 95;
 
+    let sectionFooterHeight = props.sectionFooterHeight || 0;
+    let parentSectionHeight = props.parentSectionHeaderHeight || sectionHeight;
+
     var dataSource = new FixedHeightWindowedListView.DataSource({
+      listHeaderHeight: this._getListHeaderHeight(props),
+      getHeightForParentSectionHeader: (sectionId) => {
+        return parentSectionHeight;
+      },
       getHeightForSectionHeader: (sectionId) => {
         return sectionHeight;
       },
-      getHeightForCell: (sectionId) => {
+      getHeightForSectionFooter: props.renderSectionFooter && ((sectionId, parentSectionId) => {
+        if (typeof sectionFooterHeight === 'function') {
+          return sectionFooterHeight(sectionId, parentSectionId);
+        }
+        return sectionFooterHeight;
+      }),
+      getHeightForCell: (sectionId, rowData, indexInSection, parentSectionId) => {
+        if (typeof cellHeight === 'function') {
+          return cellHeight(rowData, sectionId, indexInSection, parentSectionId);
+        }
         return cellHeight;
       }
     });
 
-    this.state = {
-      dataSource: dataSource.cloneWithCellsAndSections(this.props.data),
-      alphabet: Object.keys(this.props.data)
-    };
-
     this.dataSource = dataSource;
+    this._renderCell = this._renderCell.bind(this);
+    this.state = this._getDataState(props);
   }
 
 
   componentWillReceiveProps(nextProps) {
-    if(this.props.data !== nextProps.data){
-      this.setState({
-        dataSource: this.dataSource.cloneWithCellsAndSections(nextProps.data),
-        alphabet: Object.keys(nextProps.data)
-      });
+    // Our own data source makes room for the list header, a pre-built one is
+    // up to its owner
+    this.dataSource.setListHeaderHeight(this._getListHeaderHeight(nextProps));
+
+    // A pre-built data source may have been mutated in place, so always pick
+    // up its current sections
+    if (nextProps.dataSource || this._dataPropsChanged(nextProps)) {
+      this.setState(this._getDataState(nextProps));
+    } else if (
+      this.props.filter !== nextProps.filter ||
+      this.props.filterMatcher !== nextProps.filterMatcher ||
+      this.props.filterBy !== nextProps.filterBy
+    ) {
+      // Only the filter changed, so the sections from last time still hold,
+      // and so does the filter index unless the texts it matches did change
+      if (this.props.filterBy !== nextProps.filterBy) {
+        this._filterIndex = null;
+      }
+
+      this.setState(this._getDataState(nextProps, this._sections));
+    } else if (
+      this.props.showFullAlphabet !== nextProps.showFullAlphabet ||
+      this.props.alphabet !== nextProps.alphabet
+    ) {
+      this.setState(this._getAlphabetState(nextProps, this.state.dataSource));
     }
   }
 
 
   render() {
+    let rtl = this.props.rtl === undefined ? I18nManager.isRTL : this.props.rtl;
+
+    // React Native already swaps left and right when the whole app is RTL
+    let swapsLeftAndRight = I18nManager.isRTL && I18nManager.doLeftAndRightSwapInRTL !== false;
+    let sidebarOnLeft = rtl !== swapsLeftAndRight;
+
+    let sidebarStyle = this.props.horizontal ?
+      styles.alphabetBottomBar :
+      [styles.alphabetSidebar, sidebarOnLeft ? styles.alphabetSidebarLeft : styles.alphabetSidebarRight];
+
     this._alphabetInstance = (
-      <View style={styles.alphabetSidebar}>
-        <AlphabetPicker alphabet={this.state.alphabet} onTouchLetter={this._onTouchLetter.bind(this)} />
+      <View style={sidebarStyle}>
+        <AlphabetPicker
+          horizontal={this.props.horizontal}
+          rtl={rtl}
+          alphabet={this.state.alphabet}
+          disabledLetters={this.state.disabledLetters}
+          glyphs={this.state.glyphs}
+          locale={this.props.locale}
+          onTouchLetter={this._onTouchLetter.bind(this)}
+        />
       </View>
     );
 
+    // On Android the refresh control wraps the ScrollView, so adding or
+    // removing it remounts the ScrollView and loses its position. It stays for
+    // as long as onRefresh is given.
+    let refreshControl = this.props.refreshControl;
+    if (!refreshControl && this.props.onRefresh) {
+      refreshControl = (
+        <RefreshControl
+          refreshing={!!this.props.refreshing}
+          onRefresh={this.props.onRefresh}
+        />
+      );
+    }
+
     return (
       <View style={{flex: 1}}>
-        <View style={styles.container}>
+        <View style={[styles.container, this._getDirectionStyle(rtl)]}>
           <FixedHeightWindowedListView
             ref={view => this._listView = view}
             dataSource={this.state.dataSource}
-            renderCell={this.props.renderCell}
+            renderCell={this._renderCell}
             renderSectionHeader={this.props.renderSection}
+            renderSectionFooter={this.props.renderSectionFooter}
+            renderParentSectionHeader={this.props.renderParentSection}
+            keyExtractor={this.props.keyExtractor}
+            rowHasChanged={this.props.rowHasChanged}
+            sectionHeaderHasChanged={this.props.sectionHeaderHasChanged}
+            extraData={this._getExtraData()}
+            renderPlaceholder={this.props.renderPlaceholder}
+            stickySectionHeadersEnabled={this.props.stickySectionHeadersEnabled}
+            horizontal={this.props.horizontal}
+            refreshControl={refreshControl}
             incrementDelay={16}
             initialNumToRender={8}
             pageSize={Platform.OS === 'ios' ? 15 : 8}
@@ -93,6 +229,17 @@ export default class AtoZList extends Component {
             numToRenderAhead={40}
             numToRenderBehind={4}
             onEndReached={this.props.onEndReached}
+            onEndReachedThreshold={this.props.onEndReachedThreshold}
+            onStartReached={this.props.onStartReached}
+            onStartReachedThreshold={this.props.onStartReachedThreshold}
+            keepVisibleContentPosition={this.props.keepVisibleContentPosition}
+            renderFooter={this.props.renderFooter}
+            footerHeight={this.props.footerHeight}
+            ListHeaderComponent={this.props.ListHeaderComponent}
+            ListFooterComponent={this.props.ListFooterComponent}
+            listFooterHeight={this.props.listFooterHeight}
+            ListEmptyComponent={this.props.ListEmptyComponent}
+            listEmptyHeight={this.props.listEmptyHeight}
             onScroll={this.props.onScroll}
           />
         </View>
@@ -101,13 +248,322 @@ export default class AtoZList extends Component {
     );
   }
 
+  /**
+   * Returns the layout of a cell in the list's content, see
+   * FixedHeightWindowedListViewDataSource.getLayoutForItem
+   */
+  getLayoutForItem(sectionId, indexInSection) {
+    return this.state.dataSource.getLayoutForItem(sectionId, indexInSection);
+  }
+
+  /**
+   * Returns the layout of the row at y in the list's content, or null, see
+   * FixedHeightWindowedListViewDataSource.getItemAtOffset
+   */
+  getItemAtOffset(y) {
+    return this.state.dataSource.getItemAtOffset(y);
+  }
+
+  /**
+   * Scrolls to the header of a section.
+   *
+   * sectionId - the id of the section, or a path for nested data
+   * animated, viewPosition, viewOffset - see
+   *   FixedHeightWindowedListView.scrollToRowBuffered
+   */
+  scrollToSection({ sectionId, ...options }) {
+    this._listView.scrollToSectionBuffered(sectionId, options);
+  }
+
+  /**
+   * Scrolls to a cell, given either its sectionId and index in the section,
+   * or the key keyExtractor returns for it. Takes the same options as
+   * scrollToSection.
+   */
+  scrollToItem({ sectionId, index, key, ...options }) {
+    let rowIndex = key === undefined ?
+      this.state.dataSource.getLayoutForItem(sectionId, index).rowIndex :
+      this._getRowIndexForKey(key);
+
+    if (rowIndex !== -1) {
+      this._listView.scrollToRowBuffered(rowIndex, options);
+    }
+  }
+
+  scrollToOffset({ offset, animated = false }) {
+    this._listView.scrollToOffsetBuffered(offset, { animated });
+  }
+
+  scrollToTop({ animated = false } = {}) {
+    this.scrollToOffset({ offset: 0, animated });
+  }
+
+  _getRowIndexForKey(key) {
+    let { dataSource } = this.state;
+    let { keyExtractor } = this.props;
+
+    invariant(keyExtractor, 'AtoZList: scrollToItem needs a keyExtractor to find an item by key');
+
+    for (let i = 0; i < dataSource.getRowCount(); i++) {
+      let isCell = !dataSource.isSectionHeader(i) &&
+        !dataSource.isSectionFooter(i) &&
+        !dataSource.isParentSectionHeader(i);
+
+      if (isCell) {
+        let rowKey = keyExtractor(
+          dataSource.getRowData(i),
+          dataSource.getSectionId(i),
+          dataSource.getIndexInSection(i)
+        );
+
+        if (String(rowKey) === String(key)) {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  _getListHeaderHeight(props) {
+    // A pre-built data source carries its own list header height
+    if (!props.ListHeaderComponent || props.dataSource) {
+      return 0;
+    }
+
+    invariant(
+      typeof props.listHeaderHeight === 'number',
+      'AtoZList: ListHeaderComponent needs a listHeaderHeight'
+    );
+
+    return props.listHeaderHeight;
+  }
+
+  /**
+   * sectionOrder and pinnedSections are usually written inline, so they are
+   * compared by their contents rather than rebuilding the list on every
+   * render. A sectionOrder comparator still has to be the same function.
+   */
+  _dataPropsChanged(nextProps) {
+    let keys = nextProps.items ?
+      ['items', 'locale', 'indexStrategy'] :
+      ['data'];
+
+    return keys.some(key => this.props[key] !== nextProps[key]) ||
+      ['sectionOrder', 'pinnedSections'].some(
+        key => !_.isEqual(this.props[key], nextProps[key])
+      );
+  }
+
+  _getDataState(props, sections) {
+    let dataSource = props.dataSource;
+    let matches = null;
+
+    if (!dataSource) {
+      sections = sections || this._getSections(props);
+
+      if (sections !== this._sections) {
+        this._sections = sections;
+        this._filterIndex = null;
+      }
+
+      // The filter index is built with the sections, when the list is
+      // filterable at all, so the first keystroke doesn't have to wait for it
+      let filterIndex = props.filter != null ? this._getFilterIndex(props) : null;
+
+      let { dataBlob, sectionIds } = sections;
+      let filtered = props.filter ? filterIndex.search(
+        props.filter,
+        filterMatchers[props.filterMatcher] || props.filterMatcher
+      ) : null;
+
+      if (filtered) {
+        ({ dataBlob, sectionIds, matches } = filtered);
+      }
+
+      dataSource = this.dataSource.cloneWithCellsAndSections(dataBlob, sectionIds);
+    }
+
+    return {
+      dataSource,
+      matches,
+      ...this._getAlphabetState(props, dataSource)
+    };
+  }
+
+  _getFilterIndex(props) {
+    if (!this._filterIndex) {
+      let { dataBlob, sectionIds } = this._sections;
+      let getText = _.iteratee(props.filterBy || props.sortBy || _.identity);
+      this._filterIndex = createFilterIndex(dataBlob, sectionIds, getText);
+    }
+
+    return this._filterIndex;
+  }
+
+  /**
+   * The list follows the app's direction unless rtl says otherwise, in which
+   * case it's laid out the other way round.
+   */
+  _getDirectionStyle(rtl) {
+    if (rtl && !I18nManager.isRTL) {
+      return styles.mirrored;
+    } else if (!rtl && I18nManager.isRTL) {
+      return styles.unmirrored;
+    }
+
+    return null;
+  }
+
+  _renderCell(rowData, sectionId, index, key) {
+    let ranges = this.state.matches ? this.state.matches.get(rowData) : undefined;
+    return this.props.renderCell(rowData, sectionId, index, key, ranges);
+  }
+
+  /**
+   * The cells have to re-render when the filter's matched ranges change even
+   * if their data didn't, so the ranges go into extraData too.
+   */
+  _getExtraData() {
+    let { extraData } = this.props;
+    let { matches } = this.state;
+
+    if (!this._extraData || this._extraData[0] !== extraData || this._extraData[1] !== matches) {
+      this._extraData = [extraData, matches];
+    }
+
+    return this._extraData;
+  }
+
+  /**
+   * Returns the data blob and the ids of its sections in display order:
+   * pinned sections first, then the others sorted by sectionOrder.
+   */
+  _getSections(props) {
+    let dataBlob, sectionIds;
+
+    if (props.items) {
+      ({ dataBlob, sectionIds } = groupItems(props.items, {
+        getSectionKey: props.getSectionKey,
+        sortBy: props.sortBy,
+        locale: props.locale,
+        nonLetterSectionId: props.nonLetterSectionId,
+        indexStrategy: props.indexStrategy,
+      }));
+    } else {
+      invariant(props.data, 'AtoZList: needs data, items or a dataSource to display');
+
+      dataBlob = props.data;
+      sectionIds = getKeys(dataBlob);
+    }
+
+    let pinnedSectionIds = [];
+
+    (props.pinnedSections || []).forEach(({ sectionId, items }) => {
+      if (items) {
+        dataBlob = isImmutable(dataBlob) ?
+          dataBlob.set(sectionId, items) :
+          { ...dataBlob, [sectionId]: items };
+      }
+
+      if (items || sectionIds.indexOf(sectionId) !== -1) {
+        pinnedSectionIds.push(sectionId);
+      }
+    });
+
+    let otherSectionIds = sectionIds.filter(
+      sectionId => pinnedSectionIds.indexOf(sectionId) === -1
+    );
+
+    if (typeof props.sectionOrder === 'function') {
+      otherSectionIds.sort(props.sectionOrder);
+    } else if (props.sectionOrder) {
+      // Sections that aren't listed keep their order after the listed ones
+      otherSectionIds = _.sortBy(otherSectionIds, (sectionId) => {
+        let i = props.sectionOrder.indexOf(sectionId);
+        return i === -1 ? props.sectionOrder.length : i;
+      });
+    }
+
+    return {
+      dataBlob,
+      sectionIds: pinnedSectionIds.concat(otherSectionIds),
+    };
+  }
+
+  _getAlphabetState(props, dataSource) {
+    let sectionIds = dataSource.getSectionIds();
+    let pinnedSections = props.pinnedSections || [];
+    let glyphs = pinnedSections.reduce((result, { sectionId, glyph }) => {
+      if (glyph) {
+        result[sectionId] = glyph;
+      }
+      return result;
+    }, {});
+
+    if (!props.showFullAlphabet) {
+      return {
+        alphabet: sectionIds,
+        disabledLetters: [],
+        glyphs
+      };
+    }
+
+    let index = props.indexStrategy ||
+      (props.locale && createLocaleIndex(props.locale, props.nonLetterSectionId));
+    let pinnedSectionIds = pinnedSections.map(section => section.sectionId);
+    let fullAlphabet = pinnedSectionIds.concat(
+      props.alphabet || (index ? index.alphabet : alphabets.latin)
+    );
+
+    // Sections the alphabet doesn't know about still get a letter, at the end
+    let alphabet = fullAlphabet.concat(
+      sectionIds.filter(sectionId => fullAlphabet.indexOf(sectionId) === -1)
+    );
+
+    return {
+      alphabet,
+      disabledLetters: alphabet.filter(letter => !dataSource.hasSection(letter)),
+      glyphs
+    };
+  }
+
   _onTouchLetter(letter) {
-    this._listView.scrollToSectionBuffered(letter);
+    let sectionId = this.state.dataSource.hasSection(letter) ?
+      letter :
+      this._getNearestSection(letter);
+
+    if (sectionId !== undefined) {
+      this._listView.scrollToSectionBuffered(sectionId);
+    }
+  }
+
+  /**
+   * Returns the first section after an empty letter of the alphabet, or the
+   * last one before it when there are no sections after it.
+   */
+  _getNearestSection(letter) {
+    let { alphabet, dataSource } = this.state;
+    let i = alphabet.indexOf(letter);
+    let hasSection = sectionId => dataSource.hasSection(sectionId);
+
+    let nextSection = _.find(alphabet.slice(i + 1), hasSection);
+    return nextSection !== undefined ?
+      nextSection :
+      _.findLast(alphabet.slice(0, i), hasSection);
   }
 }
 
 
 
+AtoZList.IndexStrategies = {
+  locale: createLocaleIndex,
+  pinyin: createPinyinIndex,
+  kana: createKanaIndex,
+  hangul: createHangulIndex,
+};
+
+AtoZList.FilterMatchers = filterMatchers;
 
 const styles = StyleSheet.create({
   container: {
@@ -120,9 +576,28 @@ const styles = StyleSheet.create({
     backgroundColor: 'transparent',
     top: 0,
     bottom: 0,
-    right: 0,
     justifyContent: 'center',
     alignItems: 'center',
   },
+  alphabetSidebarLeft: {
+    left: 0,
+  },
+  alphabetSidebarRight: {
+    right: 0,
+  },
+  alphabetBottomBar: {
+    position: 'absolute',
+    backgroundColor: 'transparent',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    alignItems: 'center',
+  },
+  mirrored: {
+    direction: 'rtl',
+  },
+  unmirrored: {
+    direction: 'ltr',
+  },
 });
 
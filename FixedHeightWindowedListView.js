@@ -10,7 +10,6 @@ import {
   ScrollView,
   Text,
   View,
-  Dimensions,
 } from 'react-native';
 
 import FixedHeightWindowedListViewDataSource from './FixedHeightWindowedListViewDataSource';
@@ -24,13 +23,45 @@ import _ from 'lodash';
  * a potentially very large set of data.
  *
  * Row data should be provided as a simple array corresponding to rows. `===`
- * is used to determine if a row has changed and should be re-rendered.
+ * is used to determine if a row has changed and should be re-rendered, unless
+ * rowHasChanged or sectionHeaderHasChanged are given. Either can be 'deep' to
+ * compare rows with deepDiffer. All rows are re-rendered when extraData
+ * changes.
  *
  * Rendering is done incrementally by row to minimize the amount of work done
  * per JS event tick.
  *
  * Rows must have a pre-determined height, thus FixedHeight. The height
- * of the rows can vary depending on the section that they are in.
+ * of each row can vary, but must be known before it is rendered.
+ *
+ * An animated scroll to a far away row keeps the rows it passes rendered, or
+ * renders renderPlaceholder in their place when it's given, since real cells
+ * may be too slow to keep up.
+ *
+ * With stickySectionHeadersEnabled, the header of the section at the top is
+ * rendered again on top of the ScrollView rather than with stickyHeaderIndices,
+ * which can't follow rows that come and go as the window moves. With nested
+ * data, the parent section's header is pinned too, with the child section's
+ * header stacked under it.
+ *
+ * A horizontal list works the same way along x: heights are widths and
+ * scrollOffsetY and height hold the x offset and the width of the viewport.
+ *
+ * An inverted list renders its rows in reverse, so row 0 is at the bottom, and
+ * starts out scrolled to the bottom. scrollOffsetY is then measured from the
+ * bottom of the content to the bottom of the viewport, which keeps all of the
+ * windowing math the same while flipping the scroll direction it sees.
+ *
+ * With keepVisibleContentPosition, rows added or removed before the first
+ * cell in the viewport shift scrollOffsetY by the height they take, so that
+ * cell stays where it is on screen, e.g. when a page is prepended.
+ *
+ * ListHeaderComponent and ListFooterComponent are rendered before the first
+ * row and after the last one. The header takes the room the data source makes
+ * for it with its listHeaderHeight param, and the footer is rendered at
+ * listFooterHeight.
+ * ListEmptyComponent is rendered in place of the rows when there are none, at
+ * listEmptyHeight.
  */
 export default class FixedHeightWindowedListView extends Component {
 
@@ -47,14 +78,42 @@ export default class FixedHeightWindowedListView extends Component {
       'FixedHeightWindowedListView: numToRenderBehind must be less than maxNumToRender'
     );
 
+    invariant(
+      !this.props.renderFooter || typeof this.props.footerHeight === 'number',
+      'FixedHeightWindowedListView: renderFooter needs a footerHeight'
+    );
+
+    invariant(
+      !this.props.ListHeaderComponent || this.props.dataSource.getListHeaderHeight() > 0,
+      'FixedHeightWindowedListView: ListHeaderComponent needs a data source with a listHeaderHeight'
+    );
+
+    invariant(
+      !this.props.ListFooterComponent || typeof this.props.listFooterHeight === 'number',
+      'FixedHeightWindowedListView: ListFooterComponent needs a listFooterHeight'
+    );
+
+    invariant(
+      !this.props.ListEmptyComponent || typeof this.props.listEmptyHeight === 'number',
+      'FixedHeightWindowedListView: ListEmptyComponent needs a listEmptyHeight'
+    );
+
     this.__onScroll = this.__onScroll.bind(this);
+    this.__onLayout = this.__onLayout.bind(this);
+    this.__onScrollBeginDrag = this.__onScrollBeginDrag.bind(this);
+    this.__onContentSizeChange = this.__onContentSizeChange.bind(this);
     this.__enqueueComputeRowsToRender = this.__enqueueComputeRowsToRender.bind(this);
     this.__computeRowsToRenderSync = this.__computeRowsToRenderSync.bind(this);
     this.scrollOffsetY = 0;
     this.height = 0;
+    this.sentEndForRowsLength = null;
+    this.sentStartForRowsLength = null;
+    this.visibleAnchor = null;
+    this.shouldRestoreScrollOffset = false;
     this.willComputeRowsToRender = false;
     this.timeoutHandle = 0;
-    this.nextSectionToScrollTo = null;
+    this.nextScrollTarget = null;
+    this.scrollAnimation = null;
     this.scrollDirection = 'down';
 
     let { dataSource, initialNumToRender } = this.props;
@@ -64,59 +123,146 @@ export default class FixedHeightWindowedListView extends Component {
       lastRow: Math.min(dataSource.getRowCount() - 1, initialNumToRender),
       bufferFirstRow: null,
       bufferLastRow: null,
+      stickyHeader: null,
+      stickyParentHeader: null,
     };
   }
 
   componentWillReceiveProps(nextProps) {
-    this.__computeRowsToRenderSync(nextProps, true);
+    if (nextProps.keepVisibleContentPosition && this.__restoreVisibleAnchor(nextProps)) {
+      // The rendered rows were shifted along with the offset, they only need
+      // to catch up with the viewport
+      this.__enqueueComputeRowsToRender();
+    } else {
+      this.__computeRowsToRenderSync(nextProps, true);
+    }
+
+    this.__updateStickyHeader(nextProps);
+  }
+
+  componentDidUpdate() {
+    if (this.shouldRestoreScrollOffset) {
+      this.__scrollTo(this.scrollOffsetY, false);
+    }
+
+    if (this.props.keepVisibleContentPosition) {
+      this.__saveVisibleAnchor();
+    }
   }
 
   componentWillUnmount() {
     clearTimeout(this.timeoutHandle);
+    this.__cancelScrollAnimation();
   }
 
   render() {
     this.__rowCache = this.__rowCache || {};
+    this.__extraDataChanged = this.props.extraData !== this.__renderedExtraData;
+    this.__renderedExtraData = this.props.extraData;
 
     let { bufferFirstRow, bufferLastRow } = this.state;
     let { firstRow, lastRow } = this.state;
     let { spacerTopHeight, spacerBottomHeight, spacerMidHeight } = this.__calculateSpacers();
 
     let rows = [];
-    rows.push(<View key="sp-top" style={{height: spacerTopHeight}} />);
+    let renderedKeys = {};
+
+    let listHeaderHeight = this.props.dataSource.getListHeaderHeight();
+
+    if (listHeaderHeight > 0) {
+      rows.push(
+        <View key="list-header" style={this.__getLengthStyle(listHeaderHeight)}>
+          {this.props.ListHeaderComponent && renderListComponent(this.props.ListHeaderComponent)}
+        </View>
+      );
+    }
+
+    rows.push(<View key="sp-top" style={this.__getLengthStyle(spacerTopHeight)} />);
 
     if (bufferFirstRow < firstRow && bufferFirstRow !== null) {
       bufferLastRow = clamp(0, bufferLastRow, firstRow - 1);
-      this.__renderCells(rows, bufferFirstRow, bufferLastRow);
+      this.__renderCells(rows, bufferFirstRow, bufferLastRow, renderedKeys);
 
       // It turns out that this isn't needed, we don't really care about what
       // is rendered after in this case because it will be immediately replaced
       // with the non-buffered window. Leaving this in can sometimes lead to
       // white screen flashes on Android.
       // rows.push(<View key="sp-mid" style={{height: spacerMidHeight}} />);
+      //
+      // An animated scroll does show what is in between though.
+      if (this.scrollAnimation) {
+        rows.push(<View key="sp-mid" style={this.__getLengthStyle(spacerMidHeight)} />);
+      }
     }
 
-    this.__renderCells(rows, firstRow, lastRow);
+    this.__renderCells(rows, firstRow, lastRow, renderedKeys);
 
     if (bufferFirstRow > lastRow && bufferFirstRow !== null) {
-      rows.push(<View key="sp-mid" style={{height: spacerMidHeight}} />);
-      this.__renderCells(rows, bufferFirstRow, bufferLastRow);
+      rows.push(<View key="sp-mid" style={this.__getLengthStyle(spacerMidHeight)} />);
+      this.__renderCells(rows, bufferFirstRow, bufferLastRow, renderedKeys);
     }
 
     let totalRows = this.props.dataSource.getRowCount();
-    rows.push(<View key="sp-bot" style={{height: spacerBottomHeight || 0}} />);
+    rows.push(<View key="sp-bot" style={this.__getLengthStyle(spacerBottomHeight || 0)} />);
 
-    return (
+    if (totalRows === 0 && this.props.ListEmptyComponent) {
+      rows.push(
+        <View key="list-empty" style={this.__getLengthStyle(this.props.listEmptyHeight)}>
+          {renderListComponent(this.props.ListEmptyComponent)}
+        </View>
+      );
+    }
+
+    if (this.props.renderFooter) {
+      rows.push(
+        <View key="footer" style={this.__getLengthStyle(this.props.footerHeight)}>
+          {this.props.renderFooter()}
+        </View>
+      );
+    }
+
+    if (this.props.ListFooterComponent) {
+      rows.push(
+        <View key="list-footer" style={this.__getLengthStyle(this.props.listFooterHeight)}>
+          {renderListComponent(this.props.ListFooterComponent)}
+        </View>
+      );
+    }
+
+    // The spacers are the same either way round
+    if (this.props.inverted) {
+      rows.reverse();
+    }
+
+    let scrollView = (
       <ScrollView
-        scrollEventThrottle={50}
+        scrollEventThrottle={this.props.stickySectionHeadersEnabled ? 16 : 50}
         removeClippedSubviews={this.props.numToRenderAhead === 0 ? false : true}
         automaticallyAdjustContentInsets={false}
         {...this.props}
         ref={(ref) => { this.scrollRef = ref; }}
-        onScroll={this.__onScroll}>
+        onScroll={this.__onScroll}
+        onScrollBeginDrag={this.__onScrollBeginDrag}
+        onContentSizeChange={this.__onContentSizeChange}
+        onLayout={this.__onLayout}
+        contentContainerStyle={this.props.inverted ?
+          [{ flexGrow: 1, justifyContent: 'flex-end' }, this.props.contentContainerStyle] :
+          this.props.contentContainerStyle}>
         {rows}
       </ScrollView>
     );
+
+    if (!this.props.stickySectionHeadersEnabled) {
+      return scrollView;
+    }
+
+    return (
+      <View style={{flex: 1}}>
+        {scrollView}
+        {this.state.stickyHeader && this.__renderStickyHeader(this.state.stickyHeader, 'sticky-header')}
+        {this.state.stickyParentHeader && this.__renderStickyHeader(this.state.stickyParentHeader, 'sticky-parent-header')}
+      </View>
+    );
   }
 
   getScrollResponder() {
@@ -125,16 +271,61 @@ export default class FixedHeightWindowedListView extends Component {
       this.scrollRef.getScrollResponder();
   }
 
-  scrollToSectionBuffered(sectionId) {
-    if (!this.isScrollingToSection && this.props.dataSource.hasSection(sectionId)) {
-      let { row, startY } = this.props.dataSource.getFirstRowOfSection(sectionId);
-      let { initialNumToRender, numToRenderBehind } = this.props;
-      let totalRows = this.props.dataSource.getRowCount();
-      let lastRow = totalRows - 1;
+  /**
+   * sectionId - the id of a section, or a path like ['Sales', 'B'] for a
+   *             nested section
+   * options - see scrollToRowBuffered
+   */
+  scrollToSectionBuffered(sectionId, options) {
+    if (this.props.dataSource.hasSection(sectionId)) {
+      let { row } = this.props.dataSource.getFirstRowOfSection(sectionId);
+      this.scrollToRowBuffered(row, options);
+    }
+  }
 
-      // We don't want to run computeRowsToRenderSync while scrolling
-      this.__clearEnqueuedComputation();
-      this.isScrollingToSection = true;
+  /**
+   * rowIndex - the index of a row in the data source
+   * options.animated - defaults to false
+   * options.viewPosition - where the row ends up in the viewport, 0 for the
+   *                        top (the default), 0.5 for the middle and 1 for
+   *                        the bottom
+   * options.viewOffset - pixels to keep between the row and that position,
+   *                      e.g. the height of a translucent navigation bar
+   */
+  scrollToRowBuffered(rowIndex, { animated = false, viewPosition = 0, viewOffset = 0 } = {}) {
+    let { dataSource } = this.props;
+    let offset = dataSource.getHeightBeforeRow(rowIndex) -
+      viewPosition * (this.height - dataSource.getRowHeight(rowIndex)) -
+      viewOffset;
+
+    this.scrollToOffsetBuffered(
+      clamp(0, offset, Math.max(0, this.__getContentLength() - this.height)),
+      { animated }
+    );
+  }
+
+  /**
+   * Scrolls to a y offset in the list's content, rendering the rows there
+   * before scrolling so they are never blank.
+   *
+   * options.animated - defaults to false. Dragging the list stops an animated
+   *                    scroll where it is.
+   */
+  scrollToOffsetBuffered(offset, { animated = false } = {}) {
+    if (!this.isScrollingToSection) {
+      let { dataSource, initialNumToRender } = this.props;
+      let totalRows = dataSource.getRowCount();
+      let lastRow = totalRows - 1;
+      let item = dataSource.getItemAtOffset(offset);
+
+      // There is no row in the list header, start from the first one, and
+      // none past the end of the list, start from the last one
+      let row = 0;
+      if (item) {
+        row = item.rowIndex;
+      } else if (offset >= dataSource.getTotalHeight()) {
+        row = Math.max(0, lastRow);
+      }
 
       let windowFirstRow = row;
       let windowLastRow = Math.min(lastRow, row + initialNumToRender);
@@ -144,6 +335,18 @@ export default class FixedHeightWindowedListView extends Component {
         windowFirstRow = Math.max(0, windowLastRow - initialNumToRender);
       }
 
+      // A new scroll takes over from one that is still animating
+      this.__cancelScrollAnimation();
+
+      if (animated) {
+        this.__startScrollAnimation(offset, windowFirstRow, windowLastRow);
+        return;
+      }
+
+      // We don't want to run computeRowsToRenderSync while scrolling
+      this.__clearEnqueuedComputation();
+      this.isScrollingToSection = true;
+
       // Set up the buffer
       this.setState({
         bufferFirstRow: windowFirstRow,
@@ -156,12 +359,12 @@ export default class FixedHeightWindowedListView extends Component {
             bufferFirstRow: null,
             bufferLastRow: null,
           }, () => {
-            if (this.nextSectionToScrollTo !== null) {
+            if (this.nextScrollTarget !== null) {
               requestAnimationFrame(() => {
-                let nextSectionID = this.nextSectionToScrollTo;
-                this.nextSectionToScrollTo = null;
+                let { offset, options } = this.nextScrollTarget;
+                this.nextScrollTarget = null;
                 this.isScrollingToSection = false;
-                this.scrollToSectionBuffered(nextSectionID);
+                this.scrollToOffsetBuffered(offset, options);
               });
             } else {
               // On Android it seems like it is possible for the scroll
@@ -183,13 +386,133 @@ export default class FixedHeightWindowedListView extends Component {
       });
 
       // Scroll to the buffer area as soon as setState is complete
-      this.scrollRef.scrollTo({ y: startY, animated: false });
-      //  this.scrollRef.scrollTo({x: 0, y: startY, animation: false});
+      this.__scrollTo(offset, false);
+      this.__updateStickyHeader(this.props, offset);
     } else {
-      this.nextSectionToScrollTo = sectionId; // Only keep the most recent value
+      // Only keep the most recent value
+      this.nextScrollTarget = { offset, options: { animated } };
     }
   }
 
+  /**
+   * Renders the rows at the destination as a buffer next to the current
+   * window, then starts the animated scroll. While it runs, the window follows
+   * the visible rows (see __onScroll) so nothing in between is blank.
+   */
+  __startScrollAnimation(offset, windowFirstRow, windowLastRow) {
+    let { firstRow, lastRow } = this.__getAnimationWindow(
+      this.state.firstRow,
+      this.state.lastRow,
+      windowFirstRow,
+      windowLastRow
+    );
+    let animation = {
+      offset,
+      firstRow: this.state.firstRow,
+      lastRow: this.state.lastRow,
+      timeoutHandle: null,
+    };
+
+    this.__clearEnqueuedComputation();
+    this.scrollAnimation = animation;
+
+    this.setState({
+      firstRow,
+      lastRow,
+      bufferFirstRow: windowFirstRow,
+      bufferLastRow: windowLastRow,
+    }, () => {
+      this.__maybeWait(() => {
+        // It may have been cancelled in the meantime
+        if (this.scrollAnimation === animation) {
+          this.__resetScrollAnimationTimeout();
+          this.__scrollTo(offset, true);
+        }
+      });
+    });
+  }
+
+  /**
+   * Ends the animated scroll where the list is now and goes back to the
+   * regular windowing.
+   */
+  __finishScrollAnimation() {
+    this.__cancelScrollAnimation();
+
+    this.setState({
+      bufferFirstRow: null,
+      bufferLastRow: null,
+    }, () => {
+      this.__computeRowsToRenderSync(this.props, true);
+    });
+  }
+
+  __cancelScrollAnimation() {
+    if (this.scrollAnimation) {
+      clearTimeout(this.scrollAnimation.timeoutHandle);
+      this.scrollAnimation = null;
+    }
+  }
+
+  // Not every platform tells us when a scroll animation ends, or gets
+  // interrupted, so it's also over once the scroll events stop coming in
+  __resetScrollAnimationTimeout() {
+    clearTimeout(this.scrollAnimation.timeoutHandle);
+    this.scrollAnimation.timeoutHandle = setTimeout(() => {
+      this.__finishScrollAnimation();
+    }, SCROLL_ANIMATION_IDLE_TIMEOUT);
+  }
+
+  /**
+   * Returns the window to render during an animated scroll. Once it reaches
+   * the buffer, the two are rendered as one.
+   */
+  __getAnimationWindow(firstRow, lastRow, bufferFirstRow, bufferLastRow) {
+    if (firstRow <= bufferLastRow + 1 && lastRow >= bufferFirstRow - 1) {
+      return {
+        firstRow: Math.min(firstRow, bufferFirstRow),
+        lastRow: Math.max(lastRow, bufferLastRow),
+      };
+    }
+
+    return { firstRow, lastRow };
+  }
+
+  __updateScrollAnimation() {
+    let { dataSource } = this.props;
+    let lastRow = dataSource.getRowCount() - 1;
+    let { firstVisible, lastVisible } = dataSource.computeVisibleRows(
+      this.scrollOffsetY,
+      this.height,
+    );
+
+    this.setState(this.__getAnimationWindow(
+      clamp(0, firstVisible, lastRow),
+      clamp(0, lastVisible, lastRow),
+      this.state.bufferFirstRow,
+      this.state.bufferLastRow
+    ));
+
+    if (Math.abs(this.scrollOffsetY - this.scrollAnimation.offset) < 1) {
+      this.__finishScrollAnimation();
+    } else {
+      this.__resetScrollAnimationTimeout();
+    }
+  }
+
+  /**
+   * Rows that an animated scroll passes on the way, rather than the ones it
+   * started from or goes to, are rendered with renderPlaceholder if given.
+   */
+  __isPlaceholderRow(idx) {
+    let animation = this.scrollAnimation;
+    let { bufferFirstRow, bufferLastRow } = this.state;
+
+    return !!animation && !!this.props.renderPlaceholder &&
+      !(idx >= animation.firstRow && idx <= animation.lastRow) &&
+      !(idx >= bufferFirstRow && idx <= bufferLastRow);
+  }
+
   scrollWithoutAnimationTo(destY, destX) {
     this.scrollRef &&
       this.scrollRef.scrollTo({ y: destY, x: destX, animated: false });
@@ -209,29 +532,57 @@ export default class FixedHeightWindowedListView extends Component {
     }
   }
 
-  __renderCells(rows, firstRow, lastRow) {
+  // Headers and footers are keyed by their section, cells by their section and
+  // keyExtractor (or their row index without one), so inserting a row doesn't
+  // remount the rows below it and an item can be listed in two sections.
+  __renderCells(rows, firstRow, lastRow, renderedKeys) {
+    let { dataSource, keyExtractor } = this.props;
+
     for (var idx = firstRow; idx <= lastRow; idx++) {
-      let data = this.props.dataSource.getRowData(idx);
-      let id = idx.toString();
+      let data = dataSource.getRowData(idx);
+      let section = dataSource.getParentSection(idx);
       let parentSectionId = '';
-
-      // TODO: generalize this!
-      if (data && data.get && data.get('guid_token')) {
-        id = data.get('guid_token');
+      let key;
+      let rowType = 'cell';
+
+      if (dataSource.isParentSectionHeader(idx)) {
+        rowType = 'parentSectionHeader';
+        key = `${section.key}-parent-header`;
+      } else if (dataSource.isSectionHeader(idx)) {
+        rowType = 'sectionHeader';
+        key = `${section.key}-header`;
+      } else if (dataSource.isSectionFooter(idx)) {
+        rowType = 'sectionFooter';
+        key = `${section.key}-footer`;
+      } else {
+        parentSectionId = section.sectionId;
+        key = keyExtractor ?
+          `${section.key}-cell-${keyExtractor(data, section.sectionId, dataSource.getIndexInSection(idx))}` :
+          `cell-${idx}`;
       }
 
-      let key = id;
-
-      if (!(data && _.isObject(data) && data.sectionId)) {
-        parentSectionId = this.props.dataSource.getSectionId(idx)
-        key = `${key}-${id}`;
+      if (__DEV__ && renderedKeys[key] !== undefined) {
+        console.warn(
+          `FixedHeightWindowedListView: rows ${renderedKeys[key]} and ${idx} ` +
+          `have the same key ${key}, make sure keyExtractor returns unique keys`
+        );
+      }
+      renderedKeys[key] = idx;
+
+      if (this.__isPlaceholderRow(idx)) {
+        rows.push(
+          <View key={`placeholder-${idx}`} style={this.__getLengthStyle(dataSource.getRowHeight(idx))}>
+            {this.props.renderPlaceholder(rowType, dataSource.getRowHeight(idx))}
+          </View>
+        );
+        continue;
       }
 
       rows.push(
         <CellRenderer
           key={key}
-          shouldUpdate={data !== this.__rowCache[key]}
-          render={this.__renderRow.bind(this, data, parentSectionId, idx, key)}
+          shouldUpdate={this.__rowHasChanged(key, data, rowType)}
+          render={this.__renderRow.bind(this, data, parentSectionId, idx, key, rowType)}
         />
       );
 
@@ -239,36 +590,377 @@ export default class FixedHeightWindowedListView extends Component {
     }
   }
 
-  __renderRow(data, parentSectionId, idx, key) {
-    if (data && _.isObject(data) && data.sectionId) {
+  __rowHasChanged(key, data, rowType) {
+    if (this.__extraDataChanged || !this.__rowCache.hasOwnProperty(key)) {
+      return true;
+    }
+
+    let hasChanged = rowType === 'cell' ?
+      this.props.rowHasChanged :
+      this.props.sectionHeaderHasChanged;
+
+    if (hasChanged === 'deep') {
+      return deepDiffer(this.__rowCache[key], data);
+    } else if (hasChanged) {
+      return hasChanged(this.__rowCache[key], data);
+    } else {
+      return data !== this.__rowCache[key];
+    }
+  }
+
+  __renderRow(data, parentSectionId, idx, key, rowType) {
+    if (rowType === 'parentSectionHeader') {
+      return this.props.renderParentSectionHeader(data, null, idx, key);
+    } else if (rowType === 'sectionHeader') {
       return this.props.renderSectionHeader(data, null, idx, key);
+    } else if (rowType === 'sectionFooter') {
+      return this.props.renderSectionFooter ?
+        this.props.renderSectionFooter(data, null, idx, key) :
+        null;
     } else {
       return this.props.renderCell(data, parentSectionId, idx, key);
     }
   }
 
+  __onLayout(e) {
+    this.height = this.__getLength(e.nativeEvent.layout);
+
+    if (this.props.inverted) {
+      this.__scrollTo(this.scrollOffsetY, false);
+    }
+
+    this.__maybeCallOnEndReached();
+    this.__maybeCallOnStartReached();
+
+    if (this.props.onLayout) {
+      this.props.onLayout(e);
+    }
+  }
+
+  __onScrollBeginDrag(e) {
+    // The user grabbed the list in the middle of an animated scroll
+    if (this.scrollAnimation) {
+      this.__finishScrollAnimation();
+    }
+
+    if (this.props.onScrollBeginDrag) {
+      this.props.onScrollBeginDrag(e);
+    }
+  }
+
+  // Content added to an inverted list keeps the same offset from the bottom,
+  // so the viewport stays pinned to the bottom, or to the rows it showed when
+  // content is added above them.
+  //
+  // A shifted offset is scrolled to again once the content has its new size,
+  // in case it was too short for it on the first try.
+  __onContentSizeChange(width, height) {
+    if (this.props.inverted || this.shouldRestoreScrollOffset) {
+      this.shouldRestoreScrollOffset = false;
+      this.__scrollTo(this.scrollOffsetY, false);
+    }
+
+    this.__maybeCallOnEndReached();
+    this.__maybeCallOnStartReached();
+
+    if (this.props.onContentSizeChange) {
+      this.props.onContentSizeChange(width, height);
+    }
+  }
+
   __onScroll(e) {
+    this.height = this.__getLength(e.nativeEvent.layoutMeasurement);
     this.prevScrollOffsetY = this.scrollOffsetY || 0;
-    this.scrollOffsetY = e.nativeEvent.contentOffset.y;
+    this.scrollOffsetY = this.__invertOffset(this.__getOffset(e.nativeEvent.contentOffset));
     this.scrollDirection = this.__getScrollDirection();
-    this.height = e.nativeEvent.layoutMeasurement.height;
-    this.__enqueueComputeRowsToRender();
 
-    if (this.props.onEndReached) {
-      const windowHeight = Dimensions.get('window').height;
-      const { height } = e.nativeEvent.contentSize;
-      const offset = e.nativeEvent.contentOffset.y;
+    if (this.scrollAnimation) {
+      this.__updateScrollAnimation();
+    } else {
+      this.__enqueueComputeRowsToRender();
+    }
 
-      if( windowHeight + offset >= height ){
-        // ScrollEnd
-        this.props.onEndReached(e);
-      }
+    this.__updateStickyHeader(this.props);
+
+    if (this.props.keepVisibleContentPosition) {
+      this.__saveVisibleAnchor();
     }
+
+    this.__maybeCallOnEndReached(e);
+    this.__maybeCallOnStartReached(e);
+
     if (this.props.onScroll) {
       this.props.onScroll(e);
     }
   }
 
+  /**
+   * Calls onEndReached once the end of the rows is within
+   * onEndReachedThreshold of the bottom of the viewport, including when they
+   * don't fill it. It's called once for each length of the rows, so it isn't
+   * called again until more rows are added. The footer doesn't count, so
+   * showing a loading footer doesn't call it again either.
+   *
+   * e - the scroll event, if a scroll got us here
+   */
+  __maybeCallOnEndReached(e) {
+    let rowsLength = this.props.dataSource.getTotalHeight();
+    let distanceFromEnd = rowsLength - this.scrollOffsetY - this.height;
+
+    if (
+      this.props.onEndReached &&
+      this.height > 0 &&
+      distanceFromEnd <= this.props.onEndReachedThreshold &&
+      rowsLength !== this.sentEndForRowsLength
+    ) {
+      this.sentEndForRowsLength = rowsLength;
+      this.props.onEndReached(e);
+    }
+  }
+
+  /**
+   * Calls onStartReached once the start of the rows is within
+   * onStartReachedThreshold of the top of the viewport, once for each length
+   * of the rows like onEndReached. The list header doesn't count.
+   *
+   * e - the scroll event, if a scroll got us here
+   */
+  __maybeCallOnStartReached(e) {
+    let rowsLength = this.props.dataSource.getTotalHeight();
+    let distanceFromStart = this.scrollOffsetY - this.props.dataSource.getListHeaderHeight();
+
+    if (
+      this.props.onStartReached &&
+      this.height > 0 &&
+      distanceFromStart <= this.props.onStartReachedThreshold &&
+      rowsLength !== this.sentStartForRowsLength
+    ) {
+      this.sentStartForRowsLength = rowsLength;
+      this.props.onStartReached(e);
+    }
+  }
+
+  /**
+   * Remembers the first cell in the viewport and where it is in the viewport,
+   * for __restoreVisibleAnchor. Headers are skipped since they get new row
+   * data whenever the data source is cloned.
+   */
+  __saveVisibleAnchor() {
+    let { dataSource } = this.props;
+    let item = dataSource.getItemAtOffset(Math.max(this.scrollOffsetY, dataSource.getListHeaderHeight()));
+
+    while (item && item.indexInSection === null && item.offset < this.scrollOffsetY + this.height) {
+      item = dataSource.getItemAtOffset(item.offset + item.length);
+    }
+
+    this.visibleAnchor = item && item.indexInSection !== null ? {
+      data: dataSource.getRowData(item.rowIndex),
+      rowIndex: item.rowIndex,
+      rowCount: dataSource.getRowCount(),
+      offsetInViewport: item.offset - this.scrollOffsetY,
+    } : null;
+  }
+
+  /**
+   * Finds the cell __saveVisibleAnchor remembered in the new rows, and moves
+   * scrollOffsetY and the rendered rows along with it when rows were added or
+   * removed before it. The ScrollView follows in componentDidUpdate.
+   *
+   * Returns whether anything moved.
+   */
+  __restoreVisibleAnchor(props) {
+    let anchor = this.visibleAnchor;
+
+    if (!anchor || this.isScrollingToSection || this.scrollAnimation) {
+      return false;
+    }
+
+    let { dataSource } = props;
+    let rowIndex = this.__findAnchorRow(dataSource, anchor, props.maxNumToRender);
+
+    if (rowIndex === -1) {
+      return false;
+    }
+
+    let offset = Math.max(0, dataSource.getHeightBeforeRow(rowIndex) - anchor.offsetInViewport);
+
+    if (offset === this.scrollOffsetY) {
+      return false;
+    }
+
+    let rowDelta = rowIndex - anchor.rowIndex;
+    let lastRowIndex = dataSource.getRowCount() - 1;
+
+    this.scrollOffsetY = offset;
+    this.visibleAnchor = { ...anchor, rowIndex, rowCount: dataSource.getRowCount() };
+    this.shouldRestoreScrollOffset = true;
+    this.setState({
+      firstRow: clamp(0, this.state.firstRow + rowDelta, lastRowIndex),
+      lastRow: clamp(0, this.state.lastRow + rowDelta, lastRowIndex),
+    });
+
+    return true;
+  }
+
+  /**
+   * Looks for the anchor's row data where the change in the number of rows
+   * puts it, which is right when rows were only added or removed before it,
+   * then in the rows around that and around where it was. A row that moved
+   * further than maxDistance, e.g. after filtering, isn't followed, so that a
+   * change to a huge list never scans all of it.
+   *
+   * Returns the row index, or -1.
+   */
+  __findAnchorRow(dataSource, anchor, maxDistance) {
+    let rowCount = dataSource.getRowCount();
+    let guesses = [anchor.rowIndex + rowCount - anchor.rowCount, anchor.rowIndex];
+
+    for (let distance = 0; distance <= maxDistance; distance++) {
+      for (let guess of guesses) {
+        for (let i of [guess - distance, guess + distance]) {
+          if (i >= 0 && i < rowCount && dataSource.getRowData(i) === anchor.data) {
+            return i;
+          }
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * The sticky header is the header of the section at the top of the
+   * viewport, moved up by the next section's header as it arrives. There is
+   * none while that header is still where it belongs in the list.
+   *
+   * With nested data, the parent section's header is pinned the same way,
+   * and the child section is the one at the bottom of the pinned parent
+   * header, with its header stacked under it.
+   */
+  __updateStickyHeader(props, offset = this.scrollOffsetY) {
+    // Headers end up below their cells in an inverted list, there is nothing
+    // to pin
+    if (!props.stickySectionHeadersEnabled || props.inverted) {
+      return;
+    }
+
+    let { dataSource } = props;
+    let stickyHeader = null;
+    let stickyParentHeader = null;
+    let item = dataSource.getItemAtOffset(offset);
+
+    if (item) {
+      let section = dataSource.getParentSection(item.rowIndex);
+      let parentSectionId = section.isParentSectionHeader ?
+        section.sectionId :
+        section.parentSectionId;
+      let top = 0;
+
+      if (parentSectionId !== undefined) {
+        let { row, startY } = dataSource.getFirstRowOfSection(parentSectionId);
+        let parentHeaderHeight = dataSource.getRowHeight(row);
+
+        if (offset > startY) {
+          stickyParentHeader = {
+            rowIndex: row,
+            translate: Math.min(0, dataSource.getSectionEndY(parentSectionId) - offset - parentHeaderHeight),
+          };
+
+          top = parentHeaderHeight + stickyParentHeader.translate;
+          item = dataSource.getItemAtOffset(offset + top);
+          section = item && dataSource.getParentSection(item.rowIndex);
+        }
+      }
+
+      if (
+        section &&
+        !section.isParentSectionHeader &&
+        section.parentSectionId === parentSectionId &&
+        offset + top > section.startY
+      ) {
+        stickyHeader = {
+          rowIndex: section.range[0],
+          translate: top + Math.min(0, section.endY - offset - top - section.rowOffsets[1]),
+        };
+      }
+    }
+
+    if (
+      stickyHeaderChanged(this.state.stickyHeader, stickyHeader) ||
+      stickyHeaderChanged(this.state.stickyParentHeader, stickyParentHeader)
+    ) {
+      this.setState({ stickyHeader, stickyParentHeader });
+    }
+  }
+
+  // The child section's header is rendered first, so it slides under the
+  // parent section's header
+  __renderStickyHeader({ rowIndex, translate }, key) {
+    let { horizontal } = this.props;
+    let { dataSource } = this.props;
+    let rowType = dataSource.isParentSectionHeader(rowIndex) ?
+      'parentSectionHeader' :
+      'sectionHeader';
+
+    return (
+      <View
+        key={key}
+        pointerEvents="box-none"
+        style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          [horizontal ? 'bottom' : 'right']: 0,
+          transform: [horizontal ? { translateX: translate } : { translateY: translate }],
+        }}>
+        {this.__renderRow(dataSource.getRowData(rowIndex), '', rowIndex, key, rowType)}
+      </View>
+    );
+  }
+
+  __getOffset(point) {
+    return this.props.horizontal ? point.x : point.y;
+  }
+
+  __getLength(size) {
+    return this.props.horizontal ? size.width : size.height;
+  }
+
+  __getLengthStyle(length) {
+    return this.props.horizontal ? { width: length } : { height: length };
+  }
+
+  __scrollTo(offset, animated) {
+    offset = this.__invertOffset(offset);
+    this.scrollRef.scrollTo(this.props.horizontal ? { x: offset, animated } : { y: offset, animated });
+  }
+
+  /**
+   * Converts between the ScrollView's offset and scrollOffsetY in an inverted
+   * list, either way. Does nothing otherwise.
+   */
+  __invertOffset(offset) {
+    if (!this.props.inverted) {
+      return offset;
+    }
+
+    return Math.max(0, this.__getContentLength() - offset - this.height);
+  }
+
+  /**
+   * The length of everything in the ScrollView: the list header, the rows or
+   * the empty component, the footer and the list footer.
+   */
+  __getContentLength() {
+    let { dataSource, renderFooter, footerHeight, ListFooterComponent, listFooterHeight } = this.props;
+    let isEmpty = dataSource.getRowCount() === 0 && this.props.ListEmptyComponent;
+
+    return dataSource.getTotalHeight() +
+      (isEmpty ? this.props.listEmptyHeight : 0) +
+      (renderFooter ? footerHeight : 0) +
+      (ListFooterComponent ? listFooterHeight : 0);
+  }
+
   __getScrollDirection() {
     if (this.scrollOffsetY - this.prevScrollOffsetY >= 0) {
       return 'down';
@@ -299,7 +991,7 @@ export default class FixedHeightWindowedListView extends Component {
    * the viewport.
    */
   __computeRowsToRenderSync(props, forceUpdate = false) {
-    if (this.props.bufferFirstRow === 0 || this.props.bufferFirstRow > 0 || this.isScrollingToSection) {
+    if (this.state.bufferFirstRow !== null || this.isScrollingToSection || this.scrollAnimation) {
       requestAnimationFrame(() => {
         this.__computeRowsToRenderSync(this.props);
       });
@@ -358,7 +1050,9 @@ export default class FixedHeightWindowedListView extends Component {
     let { bufferFirstRow, bufferLastRow } = this.state;
     let { firstRow, lastRow } = this.state;
 
-    let spacerTopHeight = this.props.dataSource.getHeightBeforeRow(firstRow);
+    // The list header is rendered on its own before the top spacer
+    let spacerTopHeight = this.props.dataSource.getHeightBeforeRow(firstRow) -
+      this.props.dataSource.getListHeaderHeight();
     let spacerBottomHeight = this.props.dataSource.getHeightAfterRow(lastRow);
     let spacerMidHeight;
 
@@ -374,7 +1068,7 @@ export default class FixedHeightWindowedListView extends Component {
       spacerMidHeight = this.props.dataSource.
         getHeightBetweenRows(lastRow, bufferFirstRow);
 
-      spacerBottomHeight -= spacerMidHeight;
+      spacerBottomHeight = this.props.dataSource.getHeightAfterRow(bufferLastRow);
     }
 
     return {
@@ -391,6 +1085,16 @@ FixedHeightWindowedListView.propTypes = {
   dataSource: PropTypes.object.isRequired,
   renderCell: PropTypes.func.isRequired,
   renderSectionHeader: PropTypes.func,
+  renderSectionFooter: PropTypes.func,
+  renderParentSectionHeader: PropTypes.func,
+  keyExtractor: PropTypes.func,
+  rowHasChanged: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf(['deep'])]),
+  sectionHeaderHasChanged: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf(['deep'])]),
+  extraData: PropTypes.any,
+  renderPlaceholder: PropTypes.func,
+  stickySectionHeadersEnabled: PropTypes.bool,
+  horizontal: PropTypes.bool,
+  inverted: PropTypes.bool,
   incrementDelay: PropTypes.number,
   initialNumToRender: PropTypes.number,
   maxNumToRender: PropTypes.number,
@@ -398,6 +1102,17 @@ FixedHeightWindowedListView.propTypes = {
   numToRenderBehind: PropTypes.number,
   pageSize: PropTypes.number,
   onEndReached: PropTypes.func,
+  onEndReachedThreshold: PropTypes.number,
+  onStartReached: PropTypes.func,
+  onStartReachedThreshold: PropTypes.number,
+  keepVisibleContentPosition: PropTypes.bool,
+  renderFooter: PropTypes.func,
+  footerHeight: PropTypes.number,
+  ListHeaderComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  ListFooterComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  listFooterHeight: PropTypes.number,
+  ListEmptyComponent: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  listEmptyHeight: PropTypes.number,
   onScroll: PropTypes.func,
 };
 
@@ -408,10 +1123,29 @@ FixedHeightWindowedListView.defaultProps = {
   numToRenderAhead: 4,
   numToRenderBehind: 2,
   pageSize: 5,
+  onEndReachedThreshold: 0,
+  onStartReachedThreshold: 0,
 };
 
 const DEBUG = false;
 
+// How long an animated scroll can go without a scroll event before we consider
+// it over
+const SCROLL_ANIMATION_IDLE_TIMEOUT = 200;
+
+function stickyHeaderChanged(current, next) {
+  if (current === null || next === null) {
+    return current !== next;
+  }
+
+  return current.rowIndex !== next.rowIndex || current.translate !== next.translate;
+}
+
+// The list components can be given as a component or as an element
+function renderListComponent(Component) {
+  return React.isValidElement(Component) ? Component : <Component />;
+}
+
 class CellRenderer extends React.Component {
   shouldComponentUpdate(newProps) {
     return newProps.shouldUpdate;
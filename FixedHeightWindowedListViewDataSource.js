@@ -3,16 +3,29 @@
  */
 'use strict';
 
-import _ from 'lodash';
 import invariant from 'fbjs/lib/invariant';
+import { isImmutable, isNestedSection, getKeys, getValue, toArray } from './collections';
 
 /**
  * Helper class to perform calcuations required by FixedHeightWindowedListView.
  *
  * sectionHeader: Different height from cell, groups cells
- * cell: Content that is not a section header
- * row: A section header or a cell
+ * sectionFooter: Optional, closes a section after its last cell
+ * cell: Content that is not a section header or footer
+ * row: A section header, a section footer or a cell
  *
+ * Heights come from the getHeightForSectionHeader(sectionId) and
+ * getHeightForCell(sectionId, rowData, indexInSection) params. They must be
+ * known up front, but each cell can have its own height. Every section gets a
+ * footer row when the getHeightForSectionFooter(sectionId) param is given.
+ *
+ * Data can be nested two levels deep, e.g. by department and then by letter.
+ * A parent section is a single header row, sized by
+ * getHeightForParentSectionHeader(sectionId), followed by its child sections.
+ * The other height params then also receive the parentSectionId.
+ *
+ * A list header can take up room before the first row, sized by the
+ * listHeaderHeight param. All offsets are measured from the top of the header.
  */
 class FixedHeightListViewDataSource {
 
@@ -20,8 +33,18 @@ class FixedHeightListViewDataSource {
     this._dataSource = [];
     this._lookup = {};
 
+    // Parallel arrays, one entry per section in render order. They are sorted
+    // ascending so row <-> offset <-> section queries can binary search them.
+    // Sections are keyed by id, or by their joined path when nested.
+    this._sectionKeys = [];
+    this._sectionStartRows = [];
+    this._sectionStartYs = [];
+    this._listHeaderHeight = params.listHeaderHeight || 0;
+
     this._getHeightForSectionHeader = params.getHeightForSectionHeader;
     this._getHeightForCell = params.getHeightForCell;
+    this._getHeightForSectionFooter = params.getHeightForSectionFooter;
+    this._getHeightForParentSectionHeader = params.getHeightForParentSectionHeader;
   }
 
   computeRowsToRender(options) {
@@ -148,32 +171,47 @@ class FixedHeightListViewDataSource {
    * Returns the height of spacer before the first rendered row.
    */
   getHeightBeforeRow(i) {
-    let height = 0;
-
-    // console.log(this._lookup);
-    _.forEach(this._lookup, (section, sectionId) => {
-      if (i > section.range[0] && i <= section.range[1]) {
-        height += section.sectionHeaderHeight;
-        height += ((i - 1) - section.range[0]) * section.cellHeight;
-      } else if (section.range[0] < i) {
-        height += section.height;
-      }
-    });
+    if (i <= 0) {
+      return this._listHeaderHeight;
+    } else if (i >= this.getRowCount()) {
+      return this.getTotalHeight();
+    }
+
+    let section = this.getParentSection(i);
+
+    return section.startY + section.rowOffsets[i - section.range[0]];
+  }
+
+  isSectionHeader(i) {
+    let section = this.getParentSection(i);
+    return !!section && !section.isParentSectionHeader && i === section.range[0];
+  }
+
+  isSectionFooter(i) {
+    let section = this.getParentSection(i);
+    return !!section && !!this._getHeightForSectionFooter &&
+      !section.isParentSectionHeader && i === section.range[1];
+  }
 
-    return height;
+  isParentSectionHeader(i) {
+    let section = this.getParentSection(i);
+    return !!section && !!section.isParentSectionHeader;
   }
 
+  /**
+   * Sections can be addressed by id, or by a path like ['Sales', 'B'] when the
+   * data is nested.
+   */
   hasSection(sectionId) {
-    return !!this._lookup[sectionId];
+    return !!this._lookup[getSectionKey(sectionId)];
   }
 
   getFirstRowOfSection(sectionId) {
-    let range = this._lookup[sectionId].range;
-    let startY = this._lookup[sectionId].startY;
+    let section = this._lookup[getSectionKey(sectionId)];
 
     return {
-      row: range[0],
-      startY,
+      row: section.range[0],
+      startY: section.startY,
     };
   }
 
@@ -244,48 +282,58 @@ class FixedHeightListViewDataSource {
    * rendered at the given scrollY.
    */
   getRowAtHeight(scrollY) {
-    if (scrollY < 0) {
+    if (scrollY < this._listHeaderHeight) {
       return 0;
     } else if (scrollY > this.getTotalHeight()) {
       return Math.max(this.getRowCount() - 1, 0);
     }
 
-    let parentSection = _.find(this._lookup, (value) => {
-      return scrollY >= value.startY && scrollY <= value.endY;
-    });
+    // An offset on a section boundary belongs to the section that ends there
+    let index = binarySearch(this._sectionStartYs, scrollY);
+    if (index > 0 && this._sectionStartYs[index] === scrollY) {
+      index -= 1;
+    }
+
+    let parentSection = this._lookup[this._sectionKeys[index]];
 
     let relativeY = scrollY - parentSection.startY;
 
     if (relativeY <= parentSection.sectionHeaderHeight) {
       return parentSection.range[0];
     } else {
-      let i = Math.floor(
-        (relativeY - parentSection.sectionHeaderHeight) /
-        parentSection.cellHeight
-      );
+      // Like the computeVisibleRows consumer expects, this resolves to the
+      // row before the cell that contains relativeY
+      let i = binarySearch(parentSection.rowOffsets, relativeY) - 1;
       return parentSection.range[0] + i;
     }
   }
 
   getRowHeight(i) {
-    let row = this._dataSource[i];
-
-    if (row && _.isObject(row) && row.sectionId) {
-      return this.getSectionHeaderHeight(row.sectionId);
-    } else {
-      return this.getCellHeight(i);
-    }
+    return this.getCellHeight(i);
   }
 
   getSectionHeaderHeight(sectionId) {
-    return this._lookup[sectionId].sectionHeaderHeight;
+    return this._lookup[getSectionKey(sectionId)].sectionHeaderHeight;
+  }
+
+  getSectionFooterHeight(sectionId) {
+    let section = this._lookup[getSectionKey(sectionId)];
+    let offsets = section.rowOffsets;
+
+    if (this._getHeightForSectionFooter && !section.isParentSectionHeader) {
+      return offsets[offsets.length - 1] - offsets[offsets.length - 2];
+    } else {
+      return 0;
+    }
   }
 
   getCellHeight(i) {
     let parentSection = this.getParentSection(i);
 
     if (parentSection) {
-      return parentSection.cellHeight;
+      let offsets = parentSection.rowOffsets;
+      let rowInSection = i - parentSection.range[0];
+      return offsets[rowInSection + 1] - offsets[rowInSection];
     }
   }
 
@@ -293,86 +341,581 @@ class FixedHeightListViewDataSource {
     return this.getParentSection(i).sectionId;
   }
 
+  /**
+   * Public: Returns the index of cell i among the cells of its section
+   */
+  getIndexInSection(i) {
+    let section = this.getParentSection(i);
+    return i - section.range[0] - 1;
+  }
+
   getParentSection(i) {
-    return _.find(this._lookup, (section) => {
-      return i >= section.range[0] && i <= section.range[1];
-    });
+    if (i < 0 || i >= this.getRowCount()) {
+      return undefined;
+    }
+
+    return this._lookup[
+      this._sectionKeys[binarySearch(this._sectionStartRows, i)]
+    ];
   }
 
   getTotalHeight() {
-    let keys = Object.keys(this._lookup);
-    let lastSection = this._lookup[keys[keys.length - 1]];
+    let lastSection = this._lookup[this._sectionKeys[this._sectionKeys.length - 1]];
 
     if (lastSection) {
       return lastSection.endY;
     } else {
-      return 0;
+      return this._listHeaderHeight;
     }
   }
 
-  cloneWithCellsAndSections(dataBlob, sectionIds = Object.keys(dataBlob)) {
+  /**
+   * Public: Changes the height of the list header before the first row, which
+   * moves every row by the difference.
+   *
+   * Returns the data source.
+   */
+  setListHeaderHeight(height) {
+    invariant(
+      typeof height === 'number' && height >= 0,
+      `The list header height must be a number, got ${height}`
+    );
+
+    let heightDelta = height - this._listHeaderHeight;
+
+    if (heightDelta !== 0) {
+      this._listHeaderHeight = height;
+      this.__shiftSections(0, 0, heightDelta);
+    }
+
+    return this;
+  }
+
+  getListHeaderHeight() {
+    return this._listHeaderHeight;
+  }
+
+  cloneWithCellsAndSections(dataBlob, sectionIds = getKeys(dataBlob)) {
     /* Take in { 'A': [{..}, {..}], 'B': [{..}]} and turn it into
      *         [ { sectionId: 'A' }, {..}, {..}, { sectionId: 'B' }, {..} ]
      *
      * This is important because we want to treat section headers just as
-     * other rows.
+     * other rows. With section footers, each section also ends with its own
+     * { sectionId } row.
+     *
+     * Two-level data like { 'Sales': { 'A': [{..}] } } turns into
+     *         [ { sectionId: 'Sales' }, { sectionId: 'A', parentSectionId: 'Sales' }, {..} ]
+     * where the parent section is nothing but its header row.
+     *
+     * Any level can also be an Immutable.js Map or List.
      */
+    let previousLookup = this._lookup;
+    let previousDataSource = this._dataSource;
+
     this._dataSource = [];
-    let sectionIdsPresent = [];
+    this._lookup = {};
+    this._sectionKeys = [];
+    this._sectionStartRows = [];
+    this._sectionStartYs = [];
 
-    sectionIds.forEach((sectionId) => {
-      if (dataBlob[sectionId]) {
-        this._dataSource.push({ sectionId }, ...dataBlob[sectionId]);
-        sectionIdsPresent.push(sectionId);
+    let appendSection = (sectionId, parentSectionId, source) => {
+      let key = getSectionKey(
+        parentSectionId === undefined ? sectionId : [parentSectionId, sectionId]
+      );
+      let previous = previousLookup[key];
+      let items = isNestedSection(source) ? null : toArray(source);
+      let reused;
+
+      // An Immutable collection can't change without changing identity, so
+      // when it's the one we saw last time, keep its rows and offsets. Keeping
+      // the same header and footer objects also lets them skip re-rendering.
+      if (previous && isImmutable(source) && previous.source === source) {
+        reused = {
+          rows: previousDataSource.slice(previous.range[0], previous.range[1] + 1),
+          rowOffsets: previous.rowOffsets,
+        };
       }
-    });
 
-    /* Build a data structure like this so we can easily perform calculations we
-     * need later:
-     * { 'A': { rows: 2, range: [0, 2], height: 250, startY: 0, endY: 250, cellHeight: 95, sectionHeaderHeight: 35} }
-     */
-    let lastRow = -1;
-    let cumulativeHeight = 0;
-    this._lookup = sectionIdsPresent.reduce((result, sectionId) => {
-      let sectionHeaderHeight = this._getHeightForSectionHeader(sectionId);
-      let cellHeight = this._getHeightForCell(sectionId);
-      let count = dataBlob[sectionId].length;
-      let sectionHeight = sectionHeaderHeight + cellHeight * count;
-
-      result[sectionId] = {
-        count: count + 1,                          // Factor in section header
-        range: [lastRow + 1, lastRow + 1 + count], // Move 1 ahead of previous last row
-        height: sectionHeight,
-        startY: cumulativeHeight,
-        endY: cumulativeHeight + sectionHeight,
-        cellHeight,
-        sectionHeaderHeight,
-        sectionId,
-      };
-
-      cumulativeHeight += sectionHeight;
-      lastRow = lastRow + 1 + count;
-
-      return result;
-    }, {});
+      this.__insertSection(this._sectionKeys.length, sectionId, parentSectionId, items, reused);
+      this._lookup[key].source = source;
+    };
+
+    toArray(sectionIds).forEach((sectionId) => {
+      let section = getValue(dataBlob, sectionId);
+
+      if (!section) {
+        return;
+      }
+
+      appendSection(sectionId, undefined, section);
+
+      if (isNestedSection(section)) {
+        getKeys(section).forEach((childSectionId) => {
+          appendSection(childSectionId, sectionId, getValue(section, childSectionId));
+        });
+      }
+    });
 
     return this;
   }
 
   getHeightOfSection(sectionId) {
-    return this._lookup[sectionId].height;
+    return this._lookup[getSectionKey(sectionId)].height;
+  }
+
+  /**
+   * Public: Returns the y where a section ends. A parent section ends with its
+   * last child section.
+   */
+  getSectionEndY(sectionId) {
+    let section = this.__getSection(sectionId);
+
+    if (!section.isParentSectionHeader) {
+      return section.endY;
+    }
+
+    let lastChildPosition = this.__getEndOfParentSection(section.sectionId) - 1;
+    return this._lookup[this._sectionKeys[lastChildPosition]].endY;
   }
 
   /**
    * Returns an array containing the number of rows in each section
    */
   getSectionLengths() {
-    let result = [];
-    _.forEach(this._lookup, value => {
-      result.push(value.count);
+    return this._sectionKeys.map(key => this._lookup[key].count);
+  }
+
+  /**
+   * Returns the ids of the top-level sections present, in render order
+   */
+  getSectionIds() {
+    return this._sectionKeys
+      .map(key => this._lookup[key])
+      .filter(section => section.parentSectionId === undefined)
+      .map(section => section.sectionId);
+  }
+
+  /**
+   * Public: Returns the layout of a cell, for work that needs to know where
+   * it is without rendering it.
+   *
+   * sectionId - the section of the cell, an id or a path
+   * indexInSection - the index of the cell among the cells of its section
+   *
+   * Returns { offset, length, rowIndex, sectionId, parentSectionId, indexInSection }
+   * where offset is the y of the top of the cell in the list's content and
+   * rowIndex is its index in _dataSource.
+   */
+  getLayoutForItem(sectionId, indexInSection) {
+    let section = this.__getSection(sectionId);
+
+    invariant(
+      indexInSection >= 0 && indexInSection < this.__getCellCount(section),
+      `getLayoutForItem: index ${indexInSection} is out of bounds for section ${sectionId}`,
+    );
+
+    return this.__getRowLayout(section, indexInSection + 1);
+  }
+
+  /**
+   * Public: Returns the layout of the row at y in the list's content, like
+   * getLayoutForItem. Section headers and footers have an indexInSection of
+   * null. Returns null when y is outside of the rows, e.g. on the list
+   * header.
+   */
+  getItemAtOffset(y) {
+    if (y < this._listHeaderHeight || y >= this.getTotalHeight()) {
+      return null;
+    }
+
+    let section = this._lookup[this._sectionKeys[binarySearch(this._sectionStartYs, y)]];
+    return this.__getRowLayout(section, binarySearch(section.rowOffsets, y - section.startY));
+  }
+
+  /**
+   * Public: Inserts items into an existing section without rebuilding the
+   * data source. Only the sections after `sectionId` are shifted.
+   *
+   * sectionId - the section to insert into
+   * index - the position within the section's cells of the first new item
+   * items - an array or Immutable List of cells
+   *
+   * Returns the data source.
+   */
+  insertCells(sectionId, index, items) {
+    let section = this.__getSection(sectionId);
+    let cells = toArray(items);
+
+    invariant(
+      index >= 0 && index <= this.__getCellCount(section),
+      `insertCells: index ${index} is out of bounds for section ${sectionId}`,
+    );
+
+    this._dataSource.splice(section.range[0] + 1 + index, 0, ...cells);
+    this.__resizeSection(section, cells.length);
+
+    return this;
+  }
+
+  /**
+   * Public: Removes `count` cells starting at `index` from a section.
+   *
+   * Returns the data source.
+   */
+  removeCells(sectionId, index, count = 1) {
+    let section = this.__getSection(sectionId);
+
+    invariant(
+      index >= 0 && count >= 0 && index + count <= this.__getCellCount(section),
+      `removeCells: cells ${index}..${index + count - 1} are out of bounds for section ${sectionId}`,
+    );
+
+    this._dataSource.splice(section.range[0] + 1 + index, count);
+    this.__resizeSection(section, -count);
+
+    return this;
+  }
+
+  /**
+   * Public: Replaces the cell at `index` within a section.
+   *
+   * Returns the data source.
+   */
+  updateCell(sectionId, index, item) {
+    let section = this.__getSection(sectionId);
+
+    invariant(
+      index >= 0 && index < this.__getCellCount(section),
+      `updateCell: index ${index} is out of bounds for section ${sectionId}`,
+    );
+
+    this._dataSource[section.range[0] + 1 + index] = item;
+    this.__resizeSection(section, 0);
+
+    return this;
+  }
+
+  /**
+   * Public: Moves a cell, possibly into another section. `toIndex` is the
+   * position in the destination section after the cell has been removed.
+   *
+   * Returns the data source.
+   */
+  moveCell(fromSectionId, fromIndex, toSectionId, toIndex) {
+    let section = this.__getSection(fromSectionId);
+
+    invariant(
+      fromIndex >= 0 && fromIndex < this.__getCellCount(section),
+      `moveCell: index ${fromIndex} is out of bounds for section ${fromSectionId}`,
+    );
+
+    let item = this._dataSource[section.range[0] + 1 + fromIndex];
+
+    this.removeCells(fromSectionId, fromIndex, 1);
+    this.insertCells(toSectionId, toIndex, [item]);
+
+    return this;
+  }
+
+  /**
+   * Public: Adds a new section with its cells.
+   *
+   * sectionId - the id of the section, or a [parentSectionId, sectionId] path
+   *             to add it to an existing parent section
+   * position - where the section goes among the existing sections, defaults
+   *            to the end of the list or of the parent section
+   *
+   * Returns the data source.
+   */
+  addSection(sectionId, items = [], position) {
+    let parentSectionId;
+
+    if (Array.isArray(sectionId)) {
+      [parentSectionId, sectionId] = sectionId;
+      this.__getSection(parentSectionId);
+    }
+
+    invariant(
+      !this.hasSection(parentSectionId === undefined ? sectionId : [parentSectionId, sectionId]),
+      `addSection: section ${sectionId} already exists`,
+    );
+
+    if (position === undefined) {
+      position = parentSectionId === undefined ?
+        this._sectionKeys.length :
+        this.__getEndOfParentSection(parentSectionId);
+    }
+
+    invariant(
+      position >= 0 && position <= this._sectionKeys.length,
+      `addSection: position ${position} is out of bounds`,
+    );
+
+    this.__insertSection(position, sectionId, parentSectionId, toArray(items));
+
+    return this;
+  }
+
+  /**
+   * Public: Removes a section, its header and all of its cells. Removing a
+   * parent section also removes its child sections.
+   *
+   * Returns the data source.
+   */
+  removeSection(sectionId) {
+    let section = this.__getSection(sectionId);
+    let position = this._sectionKeys.indexOf(section.key);
+    let end = section.isParentSectionHeader ?
+      this.__getEndOfParentSection(section.sectionId) :
+      position + 1;
+
+    let lastSection = this._lookup[this._sectionKeys[end - 1]];
+    let rowCount = lastSection.range[1] - section.range[0] + 1;
+    let height = lastSection.endY - section.startY;
+
+    this._dataSource.splice(section.range[0], rowCount);
+    this._sectionKeys.slice(position, end).forEach((key) => {
+      delete this._lookup[key];
     });
-    return result;
+
+    this._sectionKeys.splice(position, end - position);
+    this._sectionStartRows.splice(position, end - position);
+    this._sectionStartYs.splice(position, end - position);
+    this.__shiftSections(position, -rowCount, -height);
+
+    return this;
+  }
+
+  __getCellCount(section) {
+    invariant(
+      !section.isParentSectionHeader,
+      `Section ${section.sectionId} has no cells, use a path to address its child sections`,
+    );
+
+    return section.count - (this._getHeightForSectionFooter ? 2 : 1);
+  }
+
+  __getSection(sectionId) {
+    let section = this._lookup[getSectionKey(sectionId)];
+    invariant(section, `Section ${sectionId} does not exist`);
+    return section;
+  }
+
+  /**
+   * Private: Returns the layout of a row, given by its index among the rows
+   * of its section, as getLayoutForItem describes it.
+   */
+  __getRowLayout(section, rowInSection) {
+    let offsets = section.rowOffsets;
+    let isCell = !section.isParentSectionHeader && rowInSection > 0 &&
+      !(this._getHeightForSectionFooter && rowInSection === section.count - 1);
+
+    return {
+      offset: section.startY + offsets[rowInSection],
+      length: offsets[rowInSection + 1] - offsets[rowInSection],
+      rowIndex: section.range[0] + rowInSection,
+      sectionId: section.sectionId,
+      parentSectionId: section.parentSectionId,
+      indexInSection: isCell ? rowInSection - 1 : null,
+    };
+  }
+
+  /**
+   * Private: Returns the position in _sectionKeys right after the last child
+   * section of a parent section.
+   */
+  __getEndOfParentSection(parentSectionId) {
+    let position = this._sectionKeys.indexOf(getSectionKey(parentSectionId)) + 1;
+
+    while (
+      position < this._sectionKeys.length &&
+      this._lookup[this._sectionKeys[position]].parentSectionId === parentSectionId
+    ) {
+      position++;
+    }
+
+    return position;
   }
+
+  /**
+   * Private: Adds a section at `position` among the existing sections and
+   * shifts the sections after it. A null `items` adds a parent section, which
+   * only has a header row. `reused` can hold the rows and rowOffsets of an
+   * identical section so they aren't computed again.
+   */
+  __insertSection(position, sectionId, parentSectionId, items, reused) {
+    let firstRow = this.getRowCount();
+    let startY = this.getTotalHeight();
+
+    if (position < this._sectionKeys.length) {
+      let nextSection = this._lookup[this._sectionKeys[position]];
+      firstRow = nextSection.range[0];
+      startY = nextSection.startY;
+    }
+
+    let isParentSectionHeader = items === null;
+    let rows, rowOffsets;
+
+    if (reused) {
+      rows = reused.rows;
+      rowOffsets = reused.rowOffsets;
+    } else if (isParentSectionHeader) {
+      rows = [{ sectionId }];
+      rowOffsets = [0, this._getHeightForParentSectionHeader(sectionId)];
+    } else {
+      rows = this.__getSectionRows(sectionId, parentSectionId, items);
+      rowOffsets = this.__computeRowOffsets(sectionId, parentSectionId, items);
+    }
+
+    let key = getSectionKey(
+      parentSectionId === undefined ? sectionId : [parentSectionId, sectionId]
+    );
+    let count = rows.length;
+    let height = rowOffsets[count];
+
+    this._dataSource.splice(firstRow, 0, ...rows);
+
+    /* Each section gets an entry like this so we can easily perform
+     * calculations we need later:
+     * { count: 3, range: [0, 2], height: 225, startY: 0, endY: 225, rowOffsets: [0, 35, 130, 225], sectionHeaderHeight: 35, sectionId: 'A' }
+     *
+     * rowOffsets holds the top of each row relative to startY, followed by the
+     * height of the section.
+     */
+    this._lookup[key] = {
+      count,
+      range: [firstRow, firstRow + count - 1],
+      height,
+      startY,
+      endY: startY + height,
+      rowOffsets,
+      sectionHeaderHeight: rowOffsets[1],
+      sectionId,
+      parentSectionId,
+      isParentSectionHeader,
+      key,
+    };
+
+    this._sectionKeys.splice(position, 0, key);
+    this._sectionStartRows.splice(position, 0, firstRow);
+    this._sectionStartYs.splice(position, 0, startY);
+    this.__shiftSections(position + 1, count, height);
+  }
+
+  /**
+   * Private: Returns the rows of a section as they are stored in _dataSource
+   */
+  __getSectionRows(sectionId, parentSectionId, items) {
+    let headerRow = parentSectionId === undefined ?
+      { sectionId } :
+      { sectionId, parentSectionId };
+
+    if (this._getHeightForSectionFooter) {
+      return [headerRow, ...items, { ...headerRow }];
+    } else {
+      return [headerRow, ...items];
+    }
+  }
+
+  /**
+   * Private: Returns the rowOffsets of a section with the given cells. Each
+   * cell's height can depend on its data and its index within the section.
+   */
+  __computeRowOffsets(sectionId, parentSectionId, items) {
+    let rowOffsets = [0];
+    let offset = this._getHeightForSectionHeader(sectionId, parentSectionId);
+
+    for (let i = 0; i < items.length; i++) {
+      rowOffsets.push(offset);
+      offset += this._getHeightForCell(sectionId, items[i], i, parentSectionId);
+    }
+
+    if (this._getHeightForSectionFooter) {
+      rowOffsets.push(offset);
+      offset += this._getHeightForSectionFooter(sectionId, parentSectionId);
+    }
+
+    rowOffsets.push(offset);
+    return rowOffsets;
+  }
+
+  /**
+   * Private: Grows or shrinks a section by `rowDelta` cells after its cells
+   * in _dataSource have changed, re-measures it and shifts the sections below
+   * it.
+   */
+  __resizeSection(section, rowDelta) {
+    section.count += rowDelta;
+    section.range[1] += rowDelta;
+
+    let firstCell = section.range[0] + 1;
+    let cells = this._dataSource.slice(firstCell, firstCell + this.__getCellCount(section));
+    let rowOffsets = this.__computeRowOffsets(section.sectionId, section.parentSectionId, cells);
+    let height = rowOffsets[rowOffsets.length - 1];
+    let heightDelta = height - section.height;
+
+    section.rowOffsets = rowOffsets;
+    section.height = height;
+    section.source = undefined;
+    section.endY += heightDelta;
+
+    this.__shiftSections(
+      this._sectionKeys.indexOf(section.key) + 1,
+      rowDelta,
+      heightDelta,
+    );
+  }
+
+  /**
+   * Private: Moves every section from `position` onwards by `rowDelta` rows
+   * and `heightDelta` pixels.
+   */
+  __shiftSections(position, rowDelta, heightDelta) {
+    for (let i = position; i < this._sectionKeys.length; i++) {
+      let section = this._lookup[this._sectionKeys[i]];
+
+      section.range[0] += rowDelta;
+      section.range[1] += rowDelta;
+      section.startY += heightDelta;
+      section.endY += heightDelta;
+
+      this._sectionStartRows[i] += rowDelta;
+      this._sectionStartYs[i] += heightDelta;
+    }
+  }
+}
+
+// Joins the ids of a section path into a single _lookup key. Top-level
+// sections are keyed by their own id.
+const SECTION_PATH_SEPARATOR = '\u0000';
+
+function getSectionKey(sectionId) {
+  if (Array.isArray(sectionId)) {
+    return sectionId.join(SECTION_PATH_SEPARATOR);
+  }
+
+  return sectionId;
+}
+
+/**
+ * Returns the index of the last element in the ascending `sortedArray` that
+ * is less than or equal to `value`, or 0 if there is no such element.
+ */
+function binarySearch(sortedArray, value) {
+  let low = 0;
+  let high = sortedArray.length - 1;
+
+  while (low < high) {
+    let mid = (low + high + 1) >> 1;
+
+    if (sortedArray[mid] <= value) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
 }
 
 module.exports = FixedHeightListViewDataSource;
@@ -0,0 +1,467 @@
+jest.disableAutomock();
+
+import FixedHeightWindowedListViewDataSource from '../FixedHeightWindowedListViewDataSource';
+
+const SECTION_HEADER_HEIGHT = 10;
+const CELL_HEIGHT = 20;
+
+function createDataSource(params) {
+  return new FixedHeightWindowedListViewDataSource({
+    getHeightForSectionHeader: () => SECTION_HEADER_HEIGHT,
+    getHeightForCell: () => CELL_HEIGHT,
+    ...params,
+  });
+}
+
+// Rows:  0 A header  0..10
+//        1 a1       10..30
+//        2 a2       30..50
+//        3 B header 50..60
+//        4 b1       60..80
+//        5 C header 80..90
+//        6 c1       90..110
+//        7 c2      110..130
+//        8 c3      130..150
+function createLetters(params) {
+  return createDataSource(params).cloneWithCellsAndSections({
+    A: ['a1', 'a2'],
+    B: ['b1'],
+    C: ['c1', 'c2', 'c3'],
+  });
+}
+
+function getLayout(dataSource) {
+  let rows = [];
+
+  for (let i = 0; i < dataSource.getRowCount(); i++) {
+    rows.push({
+      data: dataSource.getRowData(i),
+      sectionId: dataSource.getSectionId(i),
+      offset: dataSource.getHeightBeforeRow(i),
+      length: dataSource.getRowHeight(i),
+    });
+  }
+
+  return {
+    rows,
+    sectionIds: dataSource.getSectionIds(),
+    sectionLengths: dataSource.getSectionLengths(),
+    totalHeight: dataSource.getTotalHeight(),
+  };
+}
+
+// A mutated data source has to lay its rows out exactly like one built from
+// scratch with the same sections
+function expectSameLayout(dataSource, params, dataBlob, sectionIds) {
+  let expected = createDataSource(params).cloneWithCellsAndSections(dataBlob, sectionIds);
+  let layout = getLayout(dataSource);
+
+  expect(layout).toEqual(getLayout(expected));
+
+  layout.rows.forEach((row, i) => {
+    expect(dataSource.getItemAtOffset(row.offset).rowIndex).toBe(i);
+    expect(dataSource.getItemAtOffset(row.offset + row.length - 1).rowIndex).toBe(i);
+  });
+}
+
+describe('FixedHeightWindowedListViewDataSource', () => {
+  describe('getHeightBeforeRow', () => {
+    it('adds up the heights of the headers and cells before a row', () => {
+      let dataSource = createLetters();
+
+      expect([0, 1, 2, 3, 4, 5, 6, 7, 8].map(i => dataSource.getHeightBeforeRow(i)))
+        .toEqual([0, 10, 30, 50, 60, 80, 90, 110, 130]);
+      expect(dataSource.getTotalHeight()).toBe(150);
+    });
+
+    it('returns the total height past the last row', () => {
+      expect(createLetters().getHeightBeforeRow(9)).toBe(150);
+    });
+
+    it('uses the height of each cell', () => {
+      let dataSource = createDataSource({
+        getHeightForCell: (sectionId, rowData) => rowData.height,
+      }).cloneWithCellsAndSections({
+        A: [{ height: 5 }, { height: 40 }],
+        B: [{ height: 15 }],
+      });
+
+      expect([0, 1, 2, 3, 4].map(i => dataSource.getHeightBeforeRow(i)))
+        .toEqual([0, 10, 15, 55, 65]);
+      expect(dataSource.getRowHeight(2)).toBe(40);
+      expect(dataSource.getTotalHeight()).toBe(80);
+    });
+
+    it('counts section footers as rows', () => {
+      let dataSource = createLetters({ getHeightForSectionFooter: () => 4 });
+
+      expect(dataSource.getRowCount()).toBe(12);
+      expect(dataSource.isSectionFooter(3)).toBe(true);
+      expect(dataSource.getHeightBeforeRow(4)).toBe(54);
+      expect(dataSource.getSectionFooterHeight('B')).toBe(4);
+      expect(dataSource.getTotalHeight()).toBe(162);
+    });
+  });
+
+  describe('getRowAtHeight', () => {
+    it('returns the section header for an offset within it', () => {
+      let dataSource = createLetters();
+
+      expect(dataSource.getRowAtHeight(0)).toBe(0);
+      expect(dataSource.getRowAtHeight(55)).toBe(3);
+    });
+
+    it('returns the row before the cell that contains the offset', () => {
+      let dataSource = createLetters();
+
+      expect(dataSource.getRowAtHeight(11)).toBe(0);
+      expect(dataSource.getRowAtHeight(31)).toBe(1);
+      expect(dataSource.getRowAtHeight(61)).toBe(3);
+      expect(dataSource.getRowAtHeight(149)).toBe(7);
+    });
+
+    it('gives an offset on a section boundary to the section that ends there', () => {
+      expect(createLetters().getRowAtHeight(50)).toBe(2);
+    });
+
+    it('returns the last row past the end of the list', () => {
+      expect(createLetters().getRowAtHeight(1000)).toBe(8);
+    });
+
+    it('returns the first and last visible rows of a viewport', () => {
+      expect(createLetters().computeVisibleRows(0, 60)).toEqual({
+        firstVisible: 0,
+        lastVisible: 4,
+      });
+    });
+  });
+
+  describe('getItemAtOffset', () => {
+    it('returns the layout of the cell at an offset', () => {
+      expect(createLetters().getItemAtOffset(115)).toEqual({
+        offset: 110,
+        length: 20,
+        rowIndex: 7,
+        sectionId: 'C',
+        indexInSection: 1,
+      });
+    });
+
+    it('returns section headers with an indexInSection of null', () => {
+      expect(createLetters().getItemAtOffset(50)).toEqual({
+        offset: 50,
+        length: 10,
+        rowIndex: 3,
+        sectionId: 'B',
+        indexInSection: null,
+      });
+    });
+
+    it('returns null outside of the rows', () => {
+      let dataSource = createLetters();
+
+      expect(dataSource.getItemAtOffset(-1)).toBe(null);
+      expect(dataSource.getItemAtOffset(150)).toBe(null);
+    });
+
+    it('agrees with getLayoutForItem', () => {
+      let dataSource = createLetters();
+      let layout = dataSource.getLayoutForItem('C', 2);
+
+      expect(layout.rowIndex).toBe(8);
+      expect(dataSource.getItemAtOffset(layout.offset)).toEqual(layout);
+    });
+  });
+
+  describe('list header', () => {
+    it('offsets every row by its height', () => {
+      let dataSource = createLetters({ listHeaderHeight: 100 });
+
+      expect(dataSource.getHeightBeforeRow(0)).toBe(100);
+      expect(dataSource.getHeightBeforeRow(4)).toBe(160);
+      expect(dataSource.getFirstRowOfSection('C').startY).toBe(180);
+      expect(dataSource.getLayoutForItem('A', 0).offset).toBe(110);
+      expect(dataSource.getTotalHeight()).toBe(250);
+    });
+
+    it('has no row inside of it', () => {
+      let dataSource = createLetters({ listHeaderHeight: 100 });
+
+      expect(dataSource.getItemAtOffset(40)).toBe(null);
+      expect(dataSource.getRowAtHeight(40)).toBe(0);
+      expect(dataSource.getItemAtOffset(100).rowIndex).toBe(0);
+    });
+
+    it('is the total height of an empty list', () => {
+      let dataSource = createDataSource({ listHeaderHeight: 100 }).cloneWithCellsAndSections({});
+
+      expect(dataSource.getTotalHeight()).toBe(100);
+    });
+
+    it('moves every row when its height changes', () => {
+      let dataSource = createLetters({ listHeaderHeight: 100 });
+
+      dataSource.setListHeaderHeight(40);
+
+      expect(dataSource.getListHeaderHeight()).toBe(40);
+      expectSameLayout(dataSource, { listHeaderHeight: 40 }, {
+        A: ['a1', 'a2'],
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+
+    it('requires a number', () => {
+      expect(() => createLetters().setListHeaderHeight(undefined)).toThrow();
+    });
+  });
+
+  describe('insertCells', () => {
+    it('shifts the rows and offsets of the later sections', () => {
+      let dataSource = createLetters();
+
+      dataSource.insertCells('B', 0, ['b0', 'b0.5']);
+
+      expect(dataSource.getFirstRowOfSection('C')).toEqual({ row: 7, startY: 120 });
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2'],
+        B: ['b0', 'b0.5', 'b1'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+
+    it('appends at the end of a section', () => {
+      let dataSource = createLetters();
+
+      dataSource.insertCells('A', 2, ['a3']);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2', 'a3'],
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+
+    it('rejects an index past the end of the section', () => {
+      expect(() => createLetters().insertCells('B', 2, ['b3'])).toThrow();
+    });
+
+    it('rejects a section that does not exist', () => {
+      expect(() => createLetters().insertCells('D', 0, ['d1'])).toThrow();
+    });
+  });
+
+  describe('removeCells', () => {
+    it('shifts the rows and offsets of the later sections', () => {
+      let dataSource = createLetters();
+
+      dataSource.removeCells('A', 0, 2);
+
+      expect(dataSource.getFirstRowOfSection('B')).toEqual({ row: 1, startY: 10 });
+      expectSameLayout(dataSource, {}, {
+        A: [],
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+
+    it('removes one cell by default', () => {
+      let dataSource = createLetters();
+
+      dataSource.removeCells('C', 1);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2'],
+        B: ['b1'],
+        C: ['c1', 'c3'],
+      });
+    });
+
+    it('rejects cells past the end of the section', () => {
+      expect(() => createLetters().removeCells('B', 0, 2)).toThrow();
+    });
+  });
+
+  describe('updateCell', () => {
+    it('re-measures the cell and shifts the later sections', () => {
+      let params = { getHeightForCell: (sectionId, rowData) => rowData.height };
+      let dataSource = createDataSource(params).cloneWithCellsAndSections({
+        A: [{ height: 20 }],
+        B: [{ height: 20 }],
+      });
+
+      dataSource.updateCell('A', 0, { height: 50 });
+
+      expect(dataSource.getFirstRowOfSection('B').startY).toBe(60);
+      expectSameLayout(dataSource, params, {
+        A: [{ height: 50 }],
+        B: [{ height: 20 }],
+      });
+    });
+  });
+
+  describe('moveCell', () => {
+    it('moves a cell within its section', () => {
+      let dataSource = createLetters();
+
+      dataSource.moveCell('C', 0, 'C', 2);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2'],
+        B: ['b1'],
+        C: ['c2', 'c3', 'c1'],
+      });
+    });
+
+    it('moves a cell to an earlier section', () => {
+      let dataSource = createLetters();
+
+      dataSource.moveCell('C', 2, 'A', 0);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['c3', 'a1', 'a2'],
+        B: ['b1'],
+        C: ['c1', 'c2'],
+      });
+    });
+
+    it('moves a cell to a later section', () => {
+      let dataSource = createLetters();
+
+      dataSource.moveCell('A', 1, 'B', 1);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1'],
+        B: ['b1', 'a2'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+  });
+
+  describe('addSection', () => {
+    it('adds a section at the end by default', () => {
+      let dataSource = createLetters();
+
+      dataSource.addSection('D', ['d1']);
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2'],
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+        D: ['d1'],
+      });
+    });
+
+    it('shifts the sections after its position', () => {
+      let dataSource = createLetters();
+
+      dataSource.addSection('#', ['1st', '2nd'], 0);
+
+      expect(dataSource.getFirstRowOfSection('A')).toEqual({ row: 3, startY: 50 });
+      expectSameLayout(dataSource, {}, {
+        '#': ['1st', '2nd'],
+        A: ['a1', 'a2'],
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+      }, ['#', 'A', 'B', 'C']);
+    });
+
+    it('rejects a section that already exists', () => {
+      expect(() => createLetters().addSection('B', ['b2'])).toThrow();
+    });
+  });
+
+  describe('removeSection', () => {
+    it('removes the header and cells and shifts the later sections', () => {
+      let dataSource = createLetters();
+
+      dataSource.removeSection('A');
+
+      expect(dataSource.hasSection('A')).toBe(false);
+      expect(dataSource.getFirstRowOfSection('B')).toEqual({ row: 0, startY: 0 });
+      expectSameLayout(dataSource, {}, {
+        B: ['b1'],
+        C: ['c1', 'c2', 'c3'],
+      });
+    });
+
+    it('removes the last section', () => {
+      let dataSource = createLetters();
+
+      dataSource.removeSection('C');
+
+      expectSameLayout(dataSource, {}, {
+        A: ['a1', 'a2'],
+        B: ['b1'],
+      });
+    });
+  });
+
+  describe('nested sections', () => {
+    let params = { getHeightForParentSectionHeader: () => 30 };
+
+    function createDepartments() {
+      return createDataSource(params).cloneWithCellsAndSections({
+        Sales: { A: ['ann'], B: ['bob', 'bea'] },
+        Support: { C: ['cal'] },
+      });
+    }
+
+    it('renders a header row for each parent section', () => {
+      let dataSource = createDepartments();
+
+      expect(dataSource.getRowCount()).toBe(9);
+      expect(dataSource.isParentSectionHeader(0)).toBe(true);
+      expect(dataSource.isSectionHeader(1)).toBe(true);
+      expect(dataSource.isParentSectionHeader(6)).toBe(true);
+      expect(dataSource.getSectionIds()).toEqual(['Sales', 'Support']);
+    });
+
+    it('lays out the child sections after their parent header', () => {
+      let dataSource = createDepartments();
+
+      expect(dataSource.getFirstRowOfSection(['Sales', 'B'])).toEqual({ row: 3, startY: 60 });
+      expect(dataSource.getFirstRowOfSection('Support')).toEqual({ row: 6, startY: 110 });
+      expect(dataSource.getSectionEndY('Sales')).toBe(110);
+      expect(dataSource.getLayoutForItem(['Support', 'C'], 0).offset).toBe(150);
+      expect(dataSource.getTotalHeight()).toBe(170);
+    });
+
+    it('inserts cells into a child section', () => {
+      let dataSource = createDepartments();
+
+      dataSource.insertCells(['Sales', 'A'], 1, ['amy']);
+
+      expectSameLayout(dataSource, params, {
+        Sales: { A: ['ann', 'amy'], B: ['bob', 'bea'] },
+        Support: { C: ['cal'] },
+      });
+    });
+
+    it('adds a child section at the end of its parent', () => {
+      let dataSource = createDepartments();
+
+      dataSource.addSection(['Sales', 'C'], ['cat']);
+
+      expectSameLayout(dataSource, params, {
+        Sales: { A: ['ann'], B: ['bob', 'bea'], C: ['cat'] },
+        Support: { C: ['cal'] },
+      });
+    });
+
+    it('removes a parent section with its child sections', () => {
+      let dataSource = createDepartments();
+
+      dataSource.removeSection('Sales');
+
+      expect(dataSource.hasSection(['Sales', 'A'])).toBe(false);
+      expectSameLayout(dataSource, params, {
+        Support: { C: ['cal'] },
+      });
+    });
+
+    it('has no cells of its own', () => {
+      expect(() => createDepartments().insertCells('Sales', 0, ['sam'])).toThrow();
+    });
+  });
+});
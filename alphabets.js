@@ -0,0 +1,18 @@
+/**
+ * @providesModule alphabets
+ */
+'use strict';
+
+/**
+ * Alphabet presets for the AlphabetPicker, as they are printed in a phone
+ * book. Letters that never start a name, like final forms, are left out.
+ */
+const alphabets = {
+  latin: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''),
+  russian: 'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ'.split(''),
+  greek: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ'.split(''),
+  arabic: 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي'.split(''),
+  hebrew: 'אבגדהוזחטיכלמנסעפצקרשת'.split(''),
+};
+
+module.exports = alphabets;
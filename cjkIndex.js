@@ -0,0 +1,175 @@
+/**
+ * @providesModule cjkIndex
+ */
+'use strict';
+
+import createLocaleIndex from './localeIndex';
+
+// The first character of each pinyin initial in the pinyin collation. No
+// syllables start with I, U or V.
+const PINYIN_BOUNDARIES = '阿八嚓哒妸发旮哈讥咔垃妈拏噢妑七呥仨他穵夕丫帀'.split('');
+const PINYIN_INITIALS = 'ABCDEFGHJKLMNOPQRSTWXYZ'.split('');
+
+const KANA_ROWS = {
+  'あ': 'ぁあぃいぅうぇえぉおゔ',
+  'か': 'かがきぎくぐけげこごゕゖ',
+  'さ': 'さざしじすずせぜそぞ',
+  'た': 'ただちぢっつづてでとど',
+  'な': 'なにぬねの',
+  'は': 'はばぱひびぴふぶぷへべぺほぼぽ',
+  'ま': 'まみむめも',
+  'や': 'ゃやゅゆょよ',
+  'ら': 'らりるれろ',
+  'わ': 'ゎわゐゑをん',
+};
+
+const KANA_TO_ROW = Object.keys(KANA_ROWS).reduce((result, row) => {
+  KANA_ROWS[row].split('').forEach((kana) => {
+    result[kana] = row;
+  });
+  return result;
+}, {});
+
+const HANGUL_INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ'.split('');
+
+// Tense consonants are filed under their plain consonant, like in Korean
+// phone books
+const HANGUL_TENSE_CONSONANTS = { 'ㄲ': 'ㄱ', 'ㄸ': 'ㄷ', 'ㅃ': 'ㅂ', 'ㅆ': 'ㅅ', 'ㅉ': 'ㅈ' };
+const HANGUL_ALPHABET = 'ㄱㄴㄷㄹㅁㅂㅅㅇㅈㅊㅋㅌㅍㅎ'.split('');
+
+// Like localeIndex, each index is built once per nonLetterSectionId, so a
+// strategy created inline in render is the same object every time
+const cache = {};
+
+/**
+ * Files Chinese names under the initial of their pinyin (张 under Z), using
+ * the pinyin collation of Intl.Collator.
+ */
+function createPinyinIndex(nonLetterSectionId = '#') {
+  let cacheKey = `pinyin:${nonLetterSectionId}`;
+
+  if (!cache[cacheKey]) {
+    let collator = new Intl.Collator('zh-Hans-CN-u-co-pinyin');
+
+    let getInitial = (character) => {
+      if (!isHan(character)) {
+        return null;
+      }
+
+      let i = PINYIN_BOUNDARIES.length - 1;
+      while (i >= 0 && collator.compare(character, PINYIN_BOUNDARIES[i]) < 0) {
+        i--;
+      }
+
+      return i >= 0 ? PINYIN_INITIALS[i] : null;
+    };
+
+    cache[cacheKey] = createScriptIndex(collator, [], getInitial, nonLetterSectionId);
+  }
+
+  return cache[cacheKey];
+}
+
+/**
+ * Files Japanese names under their gojūon row (カナ under か). Kanji can't be
+ * read without a dictionary, so sort by the kana reading of the name.
+ */
+function createKanaIndex(nonLetterSectionId = '#') {
+  let cacheKey = `kana:${nonLetterSectionId}`;
+
+  if (!cache[cacheKey]) {
+    let getRow = (character) => {
+      let kana = character.normalize('NFKC');
+      let code = kana.charCodeAt(0);
+
+      // Katakana to hiragana
+      if (code >= 0x30A1 && code <= 0x30F6) {
+        kana = String.fromCharCode(code - 0x60);
+      }
+
+      return KANA_TO_ROW[kana] || null;
+    };
+
+    cache[cacheKey] = createScriptIndex(
+      new Intl.Collator('ja'),
+      Object.keys(KANA_ROWS),
+      getRow,
+      nonLetterSectionId,
+    );
+  }
+
+  return cache[cacheKey];
+}
+
+/**
+ * Files Korean names under the initial consonant (chosung) of their first
+ * syllable (김 under ㄱ).
+ */
+function createHangulIndex(nonLetterSectionId = '#') {
+  let cacheKey = `hangul:${nonLetterSectionId}`;
+
+  if (!cache[cacheKey]) {
+    let getInitial = (character) => {
+      let code = character.charCodeAt(0);
+      let initial = character;
+
+      if (code >= 0xAC00 && code <= 0xD7A3) {
+        initial = HANGUL_INITIALS[Math.floor((code - 0xAC00) / 588)];
+      }
+
+      initial = HANGUL_TENSE_CONSONANTS[initial] || initial;
+      return HANGUL_ALPHABET.indexOf(initial) !== -1 ? initial : null;
+    };
+
+    cache[cacheKey] = createScriptIndex(
+      new Intl.Collator('ko'),
+      HANGUL_ALPHABET,
+      getInitial,
+      nonLetterSectionId,
+    );
+  }
+
+  return cache[cacheKey];
+}
+
+/**
+ * Returns an index in the same shape as localeIndex, with the sections of a
+ * script first. Latin names go into A-Z after them and anything else into
+ * `nonLetterSectionId`.
+ */
+function createScriptIndex(collator, letters, getLetter, nonLetterSectionId) {
+  let latinIndex = createLocaleIndex('en', nonLetterSectionId);
+  let alphabet = letters.concat(latinIndex.alphabet);
+
+  // Section ids outside of the alphabet go right before nonLetterSectionId
+  let getRank = (sectionId) => {
+    let rank = alphabet.indexOf(sectionId);
+    return rank === -1 ? alphabet.length - 1.5 : rank;
+  };
+
+  return {
+    alphabet,
+    getSectionKey: (text) => {
+      let firstCharacter = Array.from(text)[0];
+      return (firstCharacter && getLetter(firstCharacter)) || latinIndex.getSectionKey(text);
+    },
+    compare: collator.compare,
+    compareSectionIds: (a, b) => getRank(a) - getRank(b) || collator.compare(a, b),
+  };
+}
+
+function isHan(character) {
+  let code = character.charCodeAt(0);
+
+  return (
+    (code >= 0x4E00 && code <= 0x9FFF) || // CJK Unified Ideographs
+    (code >= 0x3400 && code <= 0x4DBF) || // Extension A
+    (code >= 0xF900 && code <= 0xFAFF)    // Compatibility Ideographs
+  );
+}
+
+module.exports = {
+  createPinyinIndex,
+  createKanaIndex,
+  createHangulIndex,
+};
@@ -0,0 +1,65 @@
+/**
+ * @providesModule collections
+ */
+'use strict';
+
+import _ from 'lodash';
+
+/**
+ * Helpers to read data blobs that can be plain objects and arrays or
+ * Immutable.js collections, at any level.
+ */
+
+// Immutable.js collections are detected by duck typing, so immutable stays an
+// optional peer dependency.
+function isImmutable(collection) {
+  return !!(collection && collection['@@__IMMUTABLE_ITERABLE__@@']);
+}
+
+/**
+ * Returns true if a section of the data blob holds child sections rather than
+ * an array of cells.
+ */
+function isNestedSection(section) {
+  if (isImmutable(section)) {
+    return !!section['@@__IMMUTABLE_KEYED__@@'];
+  }
+
+  return _.isPlainObject(section);
+}
+
+function getKeys(collection) {
+  if (isImmutable(collection)) {
+    return collection.keySeq().toArray();
+  }
+
+  return Object.keys(collection);
+}
+
+function getValue(collection, key) {
+  if (isImmutable(collection)) {
+    return collection.get(key);
+  }
+
+  return collection[key];
+}
+
+/**
+ * Returns the values of an array or an indexed Immutable collection as an
+ * array, without converting the values themselves.
+ */
+function toArray(collection) {
+  if (isImmutable(collection)) {
+    return collection.valueSeq().toArray();
+  }
+
+  return collection;
+}
+
+module.exports = {
+  isImmutable,
+  isNestedSection,
+  getKeys,
+  getValue,
+  toArray,
+};
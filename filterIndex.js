@@ -0,0 +1,283 @@
+/**
+ * @providesModule filterIndex
+ */
+'use strict';
+
+import _ from 'lodash';
+import { isNestedSection, getKeys, getValue, toArray } from './collections';
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const ASCII = /^[\x00-\x7f]*$/;
+
+// Whitespace and ASCII punctuation, a word starts after one of these
+const WORD_SEPARATOR = /[\s!-\/:-@\[-`{-~]/;
+
+/**
+ * The built-in matchers. A matcher takes a text and a query, both lower cased
+ * and without diacritics, and returns the ranges of the text that match as
+ * [start, end] pairs, or null when the text doesn't match.
+ *
+ * A matcher can have a getPrefix(query) that returns a string every matching
+ * text has at the start of one of its words. The filter index then only tries
+ * the texts that have such a word instead of all of them.
+ */
+const matchers = {
+  // A word of the text starts with the query: 'smi' matches 'John Smith'
+  prefix(text, query) {
+    for (let i = text.indexOf(query); i !== -1; i = text.indexOf(query, i + 1)) {
+      if (isWordStart(text, i)) {
+        return [[i, i + query.length]];
+      }
+    }
+
+    return null;
+  },
+
+  // The query appears anywhere in the text: 'mit' matches 'John Smith'
+  substring(text, query) {
+    let i = text.indexOf(query);
+    return i === -1 ? null : [[i, i + query.length]];
+  },
+
+  // Each word of the query starts a word of the text, in any order: 'sm jo'
+  // matches 'John Smith'
+  words(text, query) {
+    let ranges = [];
+
+    for (let word of query.split(/\s+/)) {
+      let wordRanges = word && matchers.prefix(text, word);
+
+      if (wordRanges === null) {
+        return null;
+      } else if (wordRanges) {
+        ranges.push(...wordRanges);
+      }
+    }
+
+    return ranges;
+  },
+
+  // The characters of the query appear in the text in the same order: 'jsmt'
+  // matches 'John Smith'. Whitespace in the query is ignored.
+  fuzzy(text, query) {
+    let ranges = [];
+    let start = 0;
+
+    for (let character of query.replace(/\s+/g, '')) {
+      let i = text.indexOf(character, start);
+
+      if (i === -1) {
+        return null;
+      }
+
+      let lastRange = ranges[ranges.length - 1];
+      if (lastRange && lastRange[1] === i) {
+        lastRange[1] = i + character.length;
+      } else {
+        ranges.push([i, i + character.length]);
+      }
+
+      start = i + character.length;
+    }
+
+    return ranges;
+  },
+};
+
+matchers.prefix.getPrefix = (query) => query;
+matchers.words.getPrefix = (query) => _.maxBy(query.split(/\s+/), 'length');
+
+/**
+ * Builds an index to filter the cells of a data blob, flat or nested, plain or
+ * Immutable, by the text `getText` returns for each of them.
+ *
+ * Texts are folded once up front, and the start of every word of every text is
+ * kept in a sorted array, so matchers with a getPrefix find their candidates
+ * with a binary search rather than by trying every cell on each keystroke.
+ *
+ * Returns {
+ *   search(query, matcher) - filters the cells with a matcher, defaults to
+ *                            matchers.words. Returns null for a blank query,
+ *                            otherwise {
+ *                              dataBlob,   - the matching cells, as plain
+ *                                            objects and arrays, without the
+ *                                            sections that have none
+ *                              sectionIds, - the remaining top-level sections
+ *                              matches,    - a Map from each matching cell to
+ *                                            its matched ranges in its text
+ *                            }
+ * }
+ */
+function createFilterIndex(dataBlob, sectionIds, getText) {
+  let entries = [];
+  let wordStarts = [];
+
+  let addEntries = (path, section) => {
+    toArray(section).forEach((item) => {
+      entries.push({ path, item, folded: fold(String(getText(item))) });
+    });
+  };
+
+  toArray(sectionIds).forEach((sectionId) => {
+    let section = getValue(dataBlob, sectionId);
+
+    if (!section) {
+      return;
+    }
+
+    if (isNestedSection(section)) {
+      getKeys(section).forEach((childSectionId) => {
+        addEntries([sectionId, childSectionId], getValue(section, childSectionId));
+      });
+    } else {
+      addEntries([sectionId], section);
+    }
+  });
+
+  entries.forEach((entry, i) => {
+    let text = entry.folded.text;
+
+    for (let start = 0; start < text.length; start++) {
+      if (isWordStart(text, start)) {
+        wordStarts.push({ suffix: text.slice(start), entry: i });
+      }
+    }
+  });
+
+  wordStarts.sort((a, b) => a.suffix < b.suffix ? -1 : a.suffix > b.suffix ? 1 : 0);
+
+  let getCandidates = (prefix) => {
+    // Find the first suffix that is not less than the prefix, all suffixes
+    // that start with the prefix follow it
+    let low = 0;
+    let high = wordStarts.length;
+
+    while (low < high) {
+      let mid = (low + high) >> 1;
+
+      if (wordStarts[mid].suffix < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    let candidates = [];
+    for (let i = low; i < wordStarts.length && wordStarts[i].suffix.startsWith(prefix); i++) {
+      candidates.push(wordStarts[i].entry);
+    }
+
+    return _.sortedUniq(candidates.sort((a, b) => a - b)).map(i => entries[i]);
+  };
+
+  return {
+    search(query, matcher = matchers.words) {
+      let foldedQuery = fold(query).text.trim();
+
+      if (!foldedQuery) {
+        return null;
+      }
+
+      let candidates = matcher.getPrefix ?
+        getCandidates(matcher.getPrefix(foldedQuery)) :
+        entries;
+
+      let result = { dataBlob: {}, sectionIds: [], matches: new Map() };
+
+      candidates.forEach((entry) => {
+        let ranges = matcher(entry.folded.text, foldedQuery);
+
+        if (ranges) {
+          addToBlob(result, entry.path, entry.item);
+          result.matches.set(entry.item, unfoldRanges(entry.folded, ranges));
+        }
+      });
+
+      return result;
+    },
+  };
+}
+
+/**
+ * Lower cases a text and strips its diacritics, so 'Zoë' becomes 'zoe'.
+ *
+ * Returns { text, starts, ends } where starts[i] and ends[i] are the range of
+ * the original text that folded character i comes from. They are null when
+ * the text is plain ASCII and the ranges are the same.
+ */
+function fold(text) {
+  if (ASCII.test(text)) {
+    return { text: text.toLowerCase(), starts: null, ends: null };
+  }
+
+  let folded = '';
+  let starts = [];
+  let ends = [];
+  let start = 0;
+
+  for (let character of text) {
+    let foldedCharacter = character.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+
+    for (let i = 0; i < foldedCharacter.length; i++) {
+      starts.push(start);
+      ends.push(start + character.length);
+    }
+
+    // A combining mark on its own belongs to the character before it
+    if (!foldedCharacter && ends.length) {
+      ends[ends.length - 1] = start + character.length;
+    }
+
+    folded += foldedCharacter;
+    start += character.length;
+  }
+
+  return { text: folded, starts, ends };
+}
+
+/**
+ * Maps ranges of a folded text back to the original text, sorted and with
+ * overlapping ranges merged.
+ */
+function unfoldRanges(folded, ranges) {
+  let result = [];
+
+  _.sortBy(ranges, range => range[0]).forEach(([start, end]) => {
+    if (folded.starts) {
+      start = folded.starts[start];
+      end = folded.ends[end - 1];
+    }
+
+    let lastRange = result[result.length - 1];
+    if (lastRange && lastRange[1] >= start) {
+      lastRange[1] = Math.max(lastRange[1], end);
+    } else {
+      result.push([start, end]);
+    }
+  });
+
+  return result;
+}
+
+function addToBlob(result, path, item) {
+  let [sectionId, childSectionId] = path;
+
+  if (!result.dataBlob[sectionId]) {
+    result.dataBlob[sectionId] = path.length > 1 ? {} : [];
+    result.sectionIds.push(sectionId);
+  }
+
+  if (path.length > 1) {
+    let section = result.dataBlob[sectionId];
+    section[childSectionId] = section[childSectionId] || [];
+    section[childSectionId].push(item);
+  } else {
+    result.dataBlob[sectionId].push(item);
+  }
+}
+
+function isWordStart(text, i) {
+  return i === 0 || WORD_SEPARATOR.test(text[i - 1]);
+}
+
+module.exports = { createFilterIndex, matchers };
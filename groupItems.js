@@ -0,0 +1,79 @@
+/**
+ * @providesModule groupItems
+ */
+'use strict';
+
+import _ from 'lodash';
+import createLocaleIndex from './localeIndex';
+
+// Without a locale, texts are still compared regardless of case, so 'amy'
+// and 'Anna' sort together
+const defaultCollator = new Intl.Collator();
+
+/**
+ * Groups a flat array of items into the sections that
+ * FixedHeightWindowedListViewDataSource.cloneWithCellsAndSections takes.
+ *
+ * items - the flat array of items
+ * options.sortBy - a function or property name that gives the value items are
+ *                  sorted by, defaults to the item itself. Texts are sorted
+ *                  regardless of case.
+ * options.getSectionKey - returns the id of the section an item belongs to,
+ *                         defaults to the upper cased first character of the
+ *                         sort value
+ * options.locale - sort and group with the locale's collation rules instead,
+ *                  see localeIndex
+ * options.nonLetterSectionId - with a locale, the section for items that
+ *                              don't start with a letter, defaults to '#'
+ * options.indexStrategy - sort and group with a custom index instead of a
+ *                         locale, an object like the one localeIndex returns.
+ *                         See cjkIndex for Chinese, Japanese and Korean.
+ *
+ * Returns { dataBlob, sectionIds }, with the section ids sorted and the items
+ * of each section sorted. Sorting is stable, so items with equal sort values
+ * keep their order.
+ */
+function groupItems(items, options = {}) {
+  let sortValue = _.iteratee(options.sortBy || _.identity);
+  let index = options.indexStrategy || (options.locale ?
+    createLocaleIndex(options.locale, options.nonLetterSectionId) :
+    null);
+
+  let getSectionKey = options.getSectionKey;
+  let sorted;
+
+  if (index) {
+    getSectionKey = getSectionKey || ((item) => index.getSectionKey(String(sortValue(item))));
+    sorted = stableSort(items, (item) => String(sortValue(item)), index.compare);
+  } else {
+    getSectionKey = getSectionKey ||
+      ((item) => String(sortValue(item)).charAt(0).toUpperCase());
+    sorted = stableSort(items, sortValue, compareValues);
+  }
+
+  let dataBlob = _.groupBy(sorted, getSectionKey);
+  let sectionIds = Object.keys(dataBlob).sort(index ? index.compareSectionIds : undefined);
+
+  return { dataBlob, sectionIds };
+}
+
+/**
+ * Sorts items by the values `getValue` returns, using `compare`. Items that
+ * compare equal keep their order.
+ */
+function stableSort(items, getValue, compare) {
+  return items
+    .map((item, i) => ({ item, i, value: getValue(item) }))
+    .sort((a, b) => compare(a.value, b.value) || a.i - b.i)
+    .map(entry => entry.item);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return defaultCollator.compare(a, b);
+  }
+
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = groupItems;
@@ -0,0 +1,122 @@
+/**
+ * @providesModule localeIndex
+ */
+'use strict';
+
+import alphabets from './alphabets';
+
+const BASIC_LETTERS = alphabets.latin;
+
+// Letters that some locales sort as letters of their own rather than as a
+// variant of a basic letter, e.g. Swedish Å Ä Ö, Danish Æ Ø Å or Spanish Ñ
+const EXTRA_LETTERS = 'ÅÄÆÖØÑÇČĆŁŃŚŠŹŽŻĄĘÜÕÉÁÍÓÚÝĚŘŮĞİŞ'.split('');
+
+// Languages that aren't written in Latin script, by language code
+const SCRIPT_ALPHABETS = {
+  ru: alphabets.russian,
+  el: alphabets.greek,
+  ar: alphabets.arabic,
+  he: alphabets.hebrew,
+  iw: alphabets.hebrew,
+};
+
+const cache = {};
+
+/**
+ * Builds the index of a locale with Intl.Collator.
+ *
+ * Letters the locale treats as variants of a basic letter are folded into it
+ * (É is filed under E in French), letters it treats as their own keep their
+ * own section and place (Å Ä Ö come after Z in Swedish). Anything that is not
+ * a letter of the locale, like digits, symbols and emoji, goes into the
+ * `nonLetterSectionId` section at the end.
+ *
+ * Russian, Greek, Arabic and Hebrew locales get the sections of their own
+ * script first, followed by A-Z for names in Latin script.
+ *
+ * Returns {
+ *   alphabet,                  - the section ids in order, for the picker
+ *   getSectionKey(text),       - the section id for a string
+ *   compare(a, b),             - compares two strings
+ *   compareSectionIds(a, b),   - compares two section ids
+ * }
+ */
+function createLocaleIndex(locale, nonLetterSectionId = '#') {
+  let cacheKey = `${locale}:${nonLetterSectionId}`;
+
+  if (!cache[cacheKey]) {
+    let baseCollator = new Intl.Collator(locale, { sensitivity: 'base' });
+    let collator = new Intl.Collator(locale);
+
+    let scriptLetters = SCRIPT_ALPHABETS[locale.split(/[-_]/)[0].toLowerCase()];
+    let letters = scriptLetters || getLetters(baseCollator, collator);
+    let latinIndex = scriptLetters ? createLocaleIndex('en', nonLetterSectionId) : null;
+    let alphabet = letters.concat(latinIndex ? latinIndex.alphabet : nonLetterSectionId);
+
+    let getLetter = (text) => {
+      let firstCharacter = Array.from(text)[0];
+      let i = letters.length - 1;
+
+      if (firstCharacter === undefined) {
+        return null;
+      }
+
+      while (i >= 0 && baseCollator.compare(firstCharacter, letters[i]) < 0) {
+        i--;
+      }
+
+      // Past the last letter is only that letter's variants, not other scripts
+      if (i < 0 || (i === letters.length - 1 &&
+          baseCollator.compare(firstCharacter, letters[i]) !== 0)) {
+        return null;
+      }
+
+      return letters[i];
+    };
+
+    // Section ids outside of the alphabet go right before nonLetterSectionId
+    let getRank = (sectionId) => {
+      let rank = alphabet.indexOf(sectionId);
+      return rank === -1 ? alphabet.length - 1.5 : rank;
+    };
+
+    cache[cacheKey] = {
+      alphabet,
+      getSectionKey: (text) => (
+        getLetter(text) ||
+        (latinIndex ? latinIndex.getSectionKey(text) : nonLetterSectionId)
+      ),
+      compare: collator.compare,
+      compareSectionIds: (a, b) => getRank(a) - getRank(b) || collator.compare(a, b),
+    };
+  }
+
+  return cache[cacheKey];
+}
+
+/**
+ * Returns the letters of the locale in order, without letters that it
+ * considers equal to an earlier one.
+ */
+function getLetters(baseCollator, collator) {
+  let extraLetters = EXTRA_LETTERS.filter((letter) => (
+    !BASIC_LETTERS.some(basicLetter => baseCollator.compare(letter, basicLetter) === 0) &&
+    // Ligatures that the locale spells out, like Æ in English
+    baseCollator.compare(letter, 'AE') !== 0 &&
+    baseCollator.compare(letter, 'OE') !== 0
+  ));
+
+  return BASIC_LETTERS.concat(extraLetters)
+    .sort(collator.compare)
+    .reduce((result, letter) => {
+      let previous = result[result.length - 1];
+
+      if (previous === undefined || baseCollator.compare(previous, letter) !== 0) {
+        result.push(letter);
+      }
+
+      return result;
+    }, []);
+}
+
+module.exports = createLocaleIndex;